@@ -0,0 +1,197 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fixtureMode, upstreamFetch, upstreamSource } from './fixtures.js';
+import { log, recordUpstream, redactUrl, upstreamOutcome } from './telemetry.js';
+
+// Server-side cache for upstream responses, so a cold function or a deployment without
+// a CDN doesn't refetch on every request. An in-memory LRU sits in front of an optional
+// shared backend chosen by SIGMA_CACHE:
+//   (unset)  — memory only
+//   fs       — plus files under SIGMA_CACHE_DIR (default <tmpdir>/sigma-cache)
+//   kv       — plus a Redis REST store (Vercel KV / Upstash: KV_REST_API_URL, KV_REST_API_TOKEN)
+//   off      — no caching
+// Concurrent requests for the same URL share one upstream fetch. Only 200s are cached,
+// and fixture record/replay bypasses the cache. A revalidating request skips the reads
+// but stores what it gets, so later readers see the fresh copy.
+const CACHE_BACKENDS = ['fs', 'kv', 'off'];
+const DEFAULT_MEMORY_MB = 64;
+
+// Byte-bounded LRU: Map iteration order is insertion order, so re-inserting on read
+// keeps the least recently used entry first
+export function memoryCache(maxBytes = DEFAULT_MEMORY_MB * 1024 * 1024) {
+  const entries = new Map();
+  let bytes = 0;
+  const drop = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    bytes -= entry.size;
+    entries.delete(key);
+  };
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        bytes -= entry.size;
+        return null;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttl) {
+      drop(key);
+      const size = value.body.length;
+      if (size > maxBytes) return;
+      entries.set(key, { value, size, expiresAt: Date.now() + ttl * 1000 });
+      bytes += size;
+      for (const oldest of entries.keys()) {
+        if (bytes <= maxBytes) break;
+        drop(oldest);
+      }
+    },
+  };
+}
+
+export function fileCache(dir = path.join(os.tmpdir(), 'sigma-cache')) {
+  const file = (key) => path.join(dir, `${key}.json`);
+  return {
+    async get(key) {
+      try {
+        const { expiresAt, value } = JSON.parse(await readFile(file(key), 'utf8'));
+        return expiresAt > Date.now() ? value : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, value, ttl) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(file(key), JSON.stringify({ expiresAt: Date.now() + ttl * 1000, value }));
+    },
+  };
+}
+
+// Upstash-style Redis REST API (what Vercel KV exposes); expiry is left to the store
+export function kvCache(url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN) {
+  if (!url || !token) throw new Error('SIGMA_CACHE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+  const command = async (pathname, init = {}) => {
+    const response = await fetch(`${url.replace(/\/$/, '')}${pathname}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) throw new Error(`KV ${response.status}`);
+    return (await response.json()).result;
+  };
+  return {
+    async get(key) {
+      const result = await command(`/get/sigma:${key}`);
+      return result == null ? null : JSON.parse(result);
+    },
+    async set(key, value, ttl) {
+      await command(`/set/sigma:${key}?EX=${Math.ceil(ttl)}`, { method: 'POST', body: JSON.stringify(value) });
+    },
+  };
+}
+
+function cacheBackend() {
+  const backend = process.env.SIGMA_CACHE || null;
+  if (backend && !CACHE_BACKENDS.includes(backend)) {
+    throw new Error(`SIGMA_CACHE must be one of ${CACHE_BACKENDS.join(', ')} (got "${backend}")`);
+  }
+  return backend;
+}
+
+// Tiers are built once per process (i.e. per warm function instance)
+let tiers = null;
+const cacheTiers = () => {
+  if (!tiers) {
+    const backend = cacheBackend();
+    const memoryMb = Number(process.env.SIGMA_CACHE_MEMORY_MB) || DEFAULT_MEMORY_MB;
+    tiers = backend === 'off' ? [] : [memoryCache(memoryMb * 1024 * 1024)];
+    if (backend === 'fs') tiers.push(fileCache(process.env.SIGMA_CACHE_DIR || undefined));
+    if (backend === 'kv') tiers.push(kvCache());
+  }
+  return tiers;
+};
+
+// The API key never takes part in the key, so clients with and without one share entries
+function cacheKey(url) {
+  const u = new URL(url);
+  u.searchParams.delete('api_key');
+  u.searchParams.sort();
+  return createHash('sha1').update(u.toString()).digest('hex');
+}
+
+// A backend outage degrades to a miss rather than failing the request
+const safely = (promise, fallback = null) => promise.catch((error) => {
+  log('warn', 'cache', { backend: cacheBackend(), error: error.message });
+  return fallback;
+});
+
+// One upstream round trip, logged and counted towards /api/health. Replayed fixtures
+// never left the process: they are logged as such and not counted.
+async function fetchUpstream(url, requestId) {
+  const source = upstreamSource(url);
+  const replay = fixtureMode() === 'replay';
+  const started = Date.now();
+  try {
+    const response = await upstreamFetch(url);
+    const body = await response.text();
+    const latencyMs = Date.now() - started;
+    const value = { status: response.status, contentType: response.headers.get('content-type'), body, storedAt: Date.now() };
+    if (replay) {
+      const fixture = response.headers.get('X-Sigma-Fixture');
+      log(fixture === 'miss' ? 'warn' : 'info', 'fixture', { requestId, source, url: redactUrl(url), status: response.status, fixture });
+      return value;
+    }
+    const outcome = upstreamOutcome(response.status);
+    recordUpstream(source, { outcome, status: response.status, latencyMs });
+    log(outcome === 'ok' ? 'info' : 'warn', 'upstream', { requestId, source, url: redactUrl(url), status: response.status, outcome, latencyMs });
+    return value;
+  } catch (error) {
+    const latencyMs = Date.now() - started;
+    if (!replay) recordUpstream(source, { outcome: 'failed', status: null, latencyMs, error: error.message });
+    log('error', replay ? 'fixture' : 'upstream', { requestId, source, url: redactUrl(url), status: null, latencyMs, error: error.message });
+    throw error;
+  }
+}
+
+const inflight = new Map();
+
+async function load(url, key, ttl, layers, requestId, revalidate) {
+  for (const [i, layer] of (revalidate ? [] : layers).entries()) {
+    const value = await safely(layer.get(key));
+    if (value) {
+      // Promote to the faster tiers in front of the one that hit, for what's left of its ttl
+      const remaining = ttl - (Date.now() - value.storedAt) / 1000;
+      if (remaining > 0) await Promise.all(layers.slice(0, i).map(l => safely(l.set(key, value, remaining))));
+      return { ...value, cache: 'hit' };
+    }
+  }
+  const value = await fetchUpstream(url, requestId);
+  if (value.status === 200) await Promise.all(layers.map(l => safely(l.set(key, value, ttl))));
+  return { ...value, cache: revalidate ? 'revalidated' : 'miss' };
+}
+
+// Fetch `url` through the cache, keeping a 200 for `ttl` seconds. Resolves to
+// { status, contentType, body, cache } where cache is hit, miss, shared (joined an
+// in-flight fetch), revalidated or bypass. `requestId` tags the upstream log line;
+// `revalidate` always goes upstream (see wantsRevalidate in http.js).
+export async function cachedFetch(url, ttl, { requestId, revalidate = false } = {}) {
+  const layers = cacheTiers();
+  if (fixtureMode() || layers.length === 0) {
+    return { ...(await fetchUpstream(url, requestId)), cache: 'bypass' };
+  }
+
+  const key = cacheKey(url);
+  // An in-flight fetch may have started before a release, so revalidation never joins one
+  const pending = revalidate ? null : inflight.get(key);
+  if (pending) return { ...(await pending), cache: 'shared' };
+  const request = load(url, key, ttl, layers, requestId, revalidate);
+  if (revalidate) return request;
+  inflight.set(key, request.finally(() => inflight.delete(key)));
+  return inflight.get(key);
+}
@@ -0,0 +1,147 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Record/replay for upstream calls. Every handler fetches through upstreamFetch, which
+// follows SIGMA_FIXTURES:
+//   (unset)  — plain fetch
+//   record   — fetch live and save each response under SIGMA_FIXTURES_DIR
+//   replay   — serve saved responses only; a miss is a 404 and never touches the network
+// Fixtures are keyed by upstream URL without the API key, so they are safe to commit.
+// Some client queries move with the calendar (the "Current" yield curve window ends
+// today, the daily Fed view starts from this year), so a replay that misses on those
+// date params falls back to the recording of the same query with the nearest dates.
+const FIXTURE_MODES = ['record', 'replay'];
+const DEFAULT_FIXTURES_DIR = 'fixtures';
+const SOURCE_HOSTS = {
+  'api.stlouisfed.org': 'fred',
+  'api.fiscaldata.treasury.gov': 'fiscal',
+  'ticdata.treasury.gov': 'tic',
+};
+
+// fred, fiscal or tic for an upstream URL (the hostname for anything else)
+export function upstreamSource(url) {
+  const { hostname } = new URL(url);
+  return SOURCE_HOSTS[hostname] || hostname;
+}
+
+export function fixtureMode() {
+  const mode = process.env.SIGMA_FIXTURES || null;
+  if (mode && !FIXTURE_MODES.includes(mode)) {
+    throw new Error(`SIGMA_FIXTURES must be one of ${FIXTURE_MODES.join(', ')} (got "${mode}")`);
+  }
+  return mode;
+}
+
+function fixtureKey(url) {
+  const u = new URL(url);
+  u.searchParams.delete('api_key');
+  u.searchParams.sort();
+  return u.toString();
+}
+
+// Params that shift with the date a query is made; nearest-match ignores their exact value
+const FLOATING_DATE_PARAMS = ['observation_start', 'observation_end'];
+
+// fixtures/<source>/<file name>[_<series, release or search>]-<hash>.json
+const FIXTURE_NAME_PARAMS = ['series_id', 'release_id', 'search_text'];
+
+function fixtureLocation(key) {
+  const u = new URL(key);
+  const dir = path.join(process.env.SIGMA_FIXTURES_DIR || DEFAULT_FIXTURES_DIR, upstreamSource(key));
+  const subject = FIXTURE_NAME_PARAMS.map(p => u.searchParams.get(p)).find(Boolean);
+  const name = [path.basename(u.pathname) || 'index', subject].filter(Boolean).join('_');
+  const slug = name.replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 60);
+  return { dir, slug };
+}
+
+function fixturePath(key) {
+  const { dir, slug } = fixtureLocation(key);
+  const hash = createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return path.join(dir, `${slug}-${hash}.json`);
+}
+
+// The key with its floating date params dropped, plus those dates in days
+function floatingDates(key) {
+  const u = new URL(key);
+  const days = {};
+  for (const name of FLOATING_DATE_PARAMS) {
+    if (!u.searchParams.has(name)) continue;
+    days[name] = Date.parse(u.searchParams.get(name)) / 86400000;
+    u.searchParams.delete(name);
+  }
+  return { base: u.toString(), days };
+}
+
+// Among recordings of the same query (same file slug, same key apart from the floating
+// dates), the one whose dates are closest to the requested ones; ties go to the newest
+async function nearestFixture(key) {
+  const { dir, slug } = fixtureLocation(key);
+  const wanted = floatingDates(key);
+  const names = Object.keys(wanted.days);
+  if (names.length === 0) return null;
+  let files;
+  try {
+    files = (await readdir(dir)).filter(f => f.startsWith(`${slug}-`) && f.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  let best = null;
+  for (const file of files) {
+    const fixture = JSON.parse(await readFile(path.join(dir, file), 'utf8'));
+    const candidate = floatingDates(fixture.url);
+    if (candidate.base !== wanted.base || Object.keys(candidate.days).length !== names.length) continue;
+    const distance = names.reduce((sum, n) => sum + Math.abs(candidate.days[n] - wanted.days[n]), 0);
+    if (!best || distance < best.distance || (distance === best.distance && fixture.recordedAt > best.fixture.recordedAt)) {
+      best = { fixture, distance };
+    }
+  }
+  return best?.fixture || null;
+}
+
+export async function upstreamFetch(url, init) {
+  const mode = fixtureMode();
+  if (!mode) return fetch(url, init);
+
+  const key = fixtureKey(url);
+  const file = fixturePath(key);
+
+  if (mode === 'replay') {
+    let fixture = null;
+    let match = 'hit';
+    try {
+      fixture = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      fixture = await nearestFixture(key);
+      match = 'nearest';
+    }
+    if (!fixture) {
+      return new Response(JSON.stringify({ error: `No fixture for ${key}` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', 'X-Sigma-Fixture': 'miss' },
+      });
+    }
+    return new Response(fixture.body, {
+      status: fixture.status,
+      headers: { 'Content-Type': fixture.contentType, 'X-Sigma-Fixture': match },
+    });
+  }
+
+  const response = await fetch(url, init);
+  const body = await response.text();
+  const contentType = response.headers.get('content-type') || 'text/plain';
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify({
+    url: key,
+    status: response.status,
+    contentType,
+    recordedAt: new Date().toISOString(),
+    body,
+  }, null, 2));
+  return new Response(body, {
+    status: response.status,
+    headers: { 'Content-Type': contentType, 'X-Sigma-Fixture': 'recorded' },
+  });
+}
@@ -0,0 +1,126 @@
+const FRED_API_URL = 'https://api.stlouisfed.org/fred';
+
+// Parameter validators, each a RegExp or a list of allowed values
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_LIST = /^\d{4}-\d{2}-\d{2}(,\d{4}-\d{2}-\d{2})*$/;
+const INTEGER = /^\d{1,9}$/;
+const SERIES_ID = /^[A-Za-z0-9_.]{1,64}$/;
+const TAG_LIST = /^[\w .&-]{1,100}(;[\w .&-]{1,100})*$/;
+// Free text: printable characters only, bounded length
+const TEXT = /^[^\u0000-\u001f\u007f]{1,200}$/;
+const SORT_ORDER = ['asc', 'desc'];
+const BOOLEAN = ['true', 'false'];
+
+// Vintage (ALFRED) queries: realtime_start / realtime_end pin the real-time period
+const REALTIME = { realtime_start: DATE, realtime_end: DATE };
+const PAGING = { limit: INTEGER, offset: INTEGER, sort_order: SORT_ORDER };
+
+// The FRED endpoints the proxy exposes. Anything not listed here (endpoints or
+// params) is rejected before it reaches FRED. `maxAge` is the CDN cache lifetime in
+// seconds for a response that can still be revised.
+export const FRED_ENDPOINTS = {
+  'series/observations': {
+    required: ['series_id'],
+    params: {
+      series_id: SERIES_ID,
+      ...REALTIME,
+      ...PAGING,
+      observation_start: DATE,
+      observation_end: DATE,
+      units: ['lin', 'chg', 'ch1', 'pch', 'pc1', 'pca', 'cch', 'cca', 'log'],
+      frequency: ['d', 'w', 'bw', 'm', 'q', 'sa', 'a', 'wef', 'weth', 'wew', 'wetu', 'wem', 'wesu', 'wesa', 'bwew', 'bwem'],
+      aggregation_method: ['avg', 'sum', 'eop'],
+      output_type: ['1', '2', '3', '4'],
+      vintage_dates: DATE_LIST,
+    },
+    maxAge: 900,
+  },
+  series: {
+    required: ['series_id'],
+    params: { series_id: SERIES_ID, ...REALTIME },
+    maxAge: 3600,
+  },
+  'series/search': {
+    required: ['search_text'],
+    params: {
+      search_text: TEXT,
+      search_type: ['full_text', 'series_id'],
+      ...REALTIME,
+      ...PAGING,
+      order_by: ['search_rank', 'series_id', 'title', 'units', 'frequency', 'seasonal_adjustment',
+        'realtime_start', 'realtime_end', 'last_updated', 'observation_start', 'observation_end', 'popularity', 'group_popularity'],
+      filter_variable: ['frequency', 'units', 'seasonal_adjustment'],
+      filter_value: TEXT,
+      tag_names: TAG_LIST,
+      exclude_tag_names: TAG_LIST,
+    },
+    maxAge: 3600,
+  },
+  'release/dates': {
+    required: ['release_id'],
+    params: {
+      release_id: INTEGER,
+      ...REALTIME,
+      ...PAGING,
+      include_release_dates_with_no_data: BOOLEAN,
+    },
+    maxAge: 3600,
+  },
+  'series/vintagedates': {
+    required: ['series_id'],
+    params: { series_id: SERIES_ID, ...REALTIME, ...PAGING },
+    maxAge: 900,
+  },
+};
+
+const validParam = (rule, value) => Array.isArray(rule) ? rule.includes(value) : rule.test(value);
+
+// Build the upstream URL for one of FRED_ENDPOINTS from client params (URLSearchParams
+// or a plain object). Returns { url, frozenVintage, maxAge } or { error, status } when
+// the endpoint or params are not allowed.
+export function buildFredUrl(endpoint, input) {
+  const spec = Object.hasOwn(FRED_ENDPOINTS, endpoint) ? FRED_ENDPOINTS[endpoint] : null;
+  if (!spec) {
+    return { status: 404, error: `Unknown FRED endpoint "${endpoint}" (one of ${Object.keys(FRED_ENDPOINTS).join(', ')})` };
+  }
+
+  const clientParams = new URLSearchParams(input);
+  const fredParams = new URLSearchParams();
+  for (const name of new Set(clientParams.keys())) {
+    const values = clientParams.getAll(name);
+    if (values.length > 1) return { status: 400, error: `${name} may only be given once` };
+    const [value] = values;
+    // Responses are always JSON; the key is handled below
+    if (name === 'file_type') {
+      if (value !== 'json') return { status: 400, error: 'file_type must be json' };
+      continue;
+    }
+    if (name === 'api_key') {
+      if (value) fredParams.set('api_key', value);
+      continue;
+    }
+    const rule = spec.params[name];
+    if (!rule) return { status: 400, error: `Unsupported parameter "${name}" for ${endpoint}` };
+    if (!validParam(rule, value)) {
+      return { status: 400, error: Array.isArray(rule) ? `${name} must be one of ${rule.join(', ')}` : `Invalid ${name}` };
+    }
+    fredParams.set(name, value);
+  }
+  const missing = spec.required.filter(name => !fredParams.has(name));
+  if (missing.length) return { status: 400, error: `Missing ${missing.join(', ')}` };
+
+  // Use server-side env var for API key if not provided in request
+  if (!fredParams.has('api_key') && process.env.FRED_API_KEY) {
+    fredParams.set('api_key', process.env.FRED_API_KEY);
+  }
+  fredParams.set('file_type', 'json');
+
+  // A real-time window that closed in the past can never be revised
+  const realtimeEnd = fredParams.get('realtime_end');
+  const frozenVintage = realtimeEnd != null && realtimeEnd < new Date().toISOString().slice(0, 10);
+
+  return { url: `${FRED_API_URL}/${endpoint}?${fredParams}`, frozenVintage, maxAge: spec.maxAge };
+}
+
+// series/observations, as /api/fred and /api/fred/batch serve it
+export const buildObservationsUrl = (input) => buildFredUrl('series/observations', input);
@@ -0,0 +1,26 @@
+// Helpers shared by the serverless handlers. Files under api/_lib are not routes.
+
+// Vercel parses JSON bodies into req.body; a plain Node server (the Vite dev
+// middleware) hands us the raw stream instead.
+export async function readJsonBody(req) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null');
+}
+
+// Scheduled refreshes need what upstream serves now, not a cached pre-release copy.
+// The client sends Cache-Control: no-cache, and on GETs a unique _revalidate param so
+// the CDN can't answer from its cache either. Strips that param from `searchParams`
+// and says whether to skip the server cache (cachedFetch's `revalidate`).
+export const REVALIDATE_PARAM = '_revalidate';
+
+export function wantsRevalidate(req, searchParams = null) {
+  searchParams?.delete(REVALIDATE_PARAM);
+  return /\bno-cache\b/.test(req.headers['cache-control'] || '');
+}
+
+// Revalidated answers are per request; a shared cache keeping them would only fill up
+export const cacheControl = (revalidate, value) => revalidate ? 'no-store' : value;
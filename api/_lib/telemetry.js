@@ -0,0 +1,81 @@
+import { randomUUID } from 'node:crypto';
+
+// Structured logs and upstream health for the proxies. Every line is one JSON object on
+// stdout (Vercel's log drain parses these):
+//   { level, event: "request", requestId, source, method, path, status, latencyMs, cache,
+//     upstream, upstreamStatus }
+//   { level, event: "upstream", requestId, source, url, status, outcome, latencyMs, error? }
+//   { level, event: "fixture", requestId, source, url, status, fixture }
+// URLs always have api_key redacted. Upstream outcomes are also kept per source for
+// /api/health; like the memory cache these are per function instance. Replayed
+// fixtures never reach upstream, so they are logged but not counted.
+const HEALTH_WINDOW = 100; // most recent upstream calls per source
+
+export const newRequestId = (req) => req.headers['x-vercel-id'] || randomUUID();
+
+export function redactUrl(url) {
+  return String(url).replace(/([?&]api_key=)[^&]*/g, '$1REDACTED');
+}
+
+export function log(level, event, fields) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...fields });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+// One line per proxied request, once the response has been sent
+export function logRequest(req, { requestId, source, started, status, ...fields }) {
+  const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+  log(level, 'request', {
+    requestId, source, method: req.method, path: redactUrl(req.url), status, latencyMs: Date.now() - started, ...fields,
+  });
+}
+
+// How an upstream answer reflects on the upstream's health:
+//   ok       — 2xx/3xx
+//   rejected — 400/404/422: the upstream works but refused this query (an unknown
+//              series, a bad filter); counted, but neither success nor failure
+//   failed   — everything else: server errors, rate limits, and auth errors (401/403
+//              mean a bad or revoked API key, which breaks every call), or no answer
+const REJECTED_STATUSES = [400, 404, 422];
+
+export function upstreamOutcome(status) {
+  if (status == null) return 'failed';
+  if (status < 400) return 'ok';
+  return REJECTED_STATUSES.includes(status) ? 'rejected' : 'failed';
+}
+
+const outcomes = {}; // source → [{ at, outcome, status, latencyMs, error }]
+
+export function recordUpstream(source, outcome) {
+  const recent = (outcomes[source] ||= []);
+  recent.push({ at: Date.now(), ...outcome });
+  if (recent.length > HEALTH_WINDOW) recent.shift();
+}
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+export function upstreamHealth(sources) {
+  return Object.fromEntries(sources.map((source) => {
+    const recent = outcomes[source] || [];
+    if (recent.length === 0) return [source, { calls: 0, rejected: 0, successRate: null }];
+    const ok = recent.filter(o => o.outcome === 'ok');
+    const rejected = recent.filter(o => o.outcome === 'rejected').length;
+    const judged = recent.length - rejected;
+    const latencies = recent.map(o => o.latencyMs).sort((a, b) => a - b);
+    const lastFailure = recent.findLast(o => o.outcome === 'failed');
+    return [source, {
+      calls: recent.length,
+      rejected,
+      // Success among calls that say something about the upstream (see upstreamOutcome)
+      successRate: judged ? Math.round((ok.length / judged) * 1000) / 1000 : null,
+      latencyMs: { p50: percentile(latencies, 0.5), p95: percentile(latencies, 0.95) },
+      since: new Date(recent[0].at).toISOString(),
+      lastSuccess: ok.length ? new Date(ok[ok.length - 1].at).toISOString() : null,
+      lastFailure: lastFailure
+        ? { at: new Date(lastFailure.at).toISOString(), status: lastFailure.status, error: lastFailure.error }
+        : null,
+    }];
+  }));
+}
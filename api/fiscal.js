@@ -1,17 +1,29 @@
+import { cachedFetch } from './_lib/cache.js';
+import { cacheControl, wantsRevalidate } from './_lib/http.js';
+import { logRequest, newRequestId } from './_lib/telemetry.js';
+
+const CACHE_SECONDS = 3600;
+
 export default async function handler(req, res) {
+  const started = Date.now();
+  const requestId = newRequestId(req);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('X-Request-Id', requestId);
   const url = new URL(req.url, `http://${req.headers.host}`);
   const path = url.pathname.replace(/^\/api\/fiscal/, '');
+  const revalidate = wantsRevalidate(req, url.searchParams);
   const fiscalUrl = `https://api.fiscaldata.treasury.gov${path}${url.search}`;
 
   try {
-    const response = await fetch(fiscalUrl);
-    const data = await response.text();
+    const { status, body, cache } = await cachedFetch(fiscalUrl, CACHE_SECONDS, { requestId, revalidate });
 
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=7200');
+    res.setHeader('Cache-Control', cacheControl(revalidate, `s-maxage=${CACHE_SECONDS}, stale-while-revalidate=7200`));
     res.setHeader('Content-Type', 'application/json');
-    res.status(response.status).send(data);
+    res.setHeader('X-Sigma-Cache', cache);
+    res.status(status).send(body);
+    logRequest(req, { requestId, source: 'fiscal', started, status, cache, upstream: fiscalUrl });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message, requestId });
+    logRequest(req, { requestId, source: 'fiscal', started, status: 500, upstream: fiscalUrl, error: error.message });
   }
 }
@@ -1,28 +1,45 @@
+import { buildFredUrl } from './_lib/fred.js';
+import { cachedFetch } from './_lib/cache.js';
+import { cacheControl, wantsRevalidate } from './_lib/http.js';
+import { logRequest, newRequestId, redactUrl } from './_lib/telemetry.js';
+
+// GET /api/fred?series_id=...              → fred/series/observations
+// GET /api/fred/<endpoint>?...             → fred/<endpoint>, for the endpoints in
+//                                            FRED_ENDPOINTS (series, series/search, ...)
+// Params are checked against the endpoint's allowlist before anything goes upstream.
 export default async function handler(req, res) {
-  const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
-  
+  const started = Date.now();
+  const requestId = newRequestId(req);
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  const endpoint = pathname.replace(/^\/api\/fred\/?/, '').replace(/\/$/, '') || 'series/observations';
+  const revalidate = wantsRevalidate(req, searchParams);
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('X-Request-Id', requestId);
+
   // Build FRED URL from incoming query params
-  const fredParams = new URLSearchParams();
-  for (const [key, value] of searchParams.entries()) {
-    fredParams.set(key, value);
-  }
-  
-  // Use server-side env var for API key if not provided in request
-  if (!fredParams.get('api_key') && process.env.FRED_API_KEY) {
-    fredParams.set('api_key', process.env.FRED_API_KEY);
+  const { url: fredUrl, frozenVintage, maxAge, status, error } = buildFredUrl(endpoint, searchParams);
+  if (error) {
+    res.status(status).json({ error, requestId });
+    logRequest(req, { requestId, source: 'fred', started, status, error });
+    return;
   }
   
-  const fredUrl = `https://api.stlouisfed.org/fred/series/observations?${fredParams}`;
-  
+  // Frozen vintages can be cached for a day
+  const ttl = frozenVintage ? 86400 : maxAge;
+
   try {
-    const response = await fetch(fredUrl);
-    const data = await response.text();
+    const { status, body, cache } = await cachedFetch(fredUrl, ttl, { requestId, revalidate });
     
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=1800');
+    res.setHeader('Cache-Control', cacheControl(revalidate, frozenVintage
+      ? `s-maxage=${ttl}, stale-while-revalidate=86400`
+      : `s-maxage=${ttl}, stale-while-revalidate=${ttl * 2}`));
     res.setHeader('Content-Type', 'application/json');
-    res.status(response.status).send(data);
+    res.setHeader('X-Sigma-Cache', cache);
+    res.status(status).send(body);
+    logRequest(req, { requestId, source: 'fred', started, status, cache, upstream: redactUrl(fredUrl) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message, requestId });
+    logRequest(req, { requestId, source: 'fred', started, status: 500, upstream: redactUrl(fredUrl), error: error.message });
   }
 }
@@ -0,0 +1,79 @@
+import { buildObservationsUrl } from '../_lib/fred.js';
+import { readJsonBody, wantsRevalidate } from '../_lib/http.js';
+import { cachedFetch } from '../_lib/cache.js';
+import { logRequest, newRequestId } from '../_lib/telemetry.js';
+import { mapWithConcurrency } from '../../shared/concurrency.js';
+
+// POST /api/fred/batch
+//   body:     { requests: [{ id, params: { series_id, observation_start, ... } }] }
+//   response: { results: { [id]: { status, data } | { status, error } } }
+// Each `params` is exactly what /api/fred would take as a query string. Requests fan
+// out to FRED with bounded concurrency; one failing series never fails the batch.
+const MAX_BATCH_SIZE = 50;
+const UPSTREAM_CONCURRENCY = 5;
+
+export default async function handler(req, res) {
+  const started = Date.now();
+  const requestId = newRequestId(req);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('X-Request-Id', requestId);
+  const reject = (status, error) => {
+    res.status(status).json({ error, requestId });
+    logRequest(req, { requestId, source: 'fred', started, status, error });
+  };
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    reject(405, 'Use POST with a JSON body');
+    return;
+  }
+
+  const revalidate = wantsRevalidate(req);
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    reject(400, 'Body must be valid JSON');
+    return;
+  }
+  const requests = body?.requests;
+  if (!Array.isArray(requests) || requests.length === 0) {
+    reject(400, 'Expected { requests: [{ id, params }] }');
+    return;
+  }
+  if (requests.length > MAX_BATCH_SIZE) {
+    reject(400, `At most ${MAX_BATCH_SIZE} requests per batch`);
+    return;
+  }
+
+  const results = {};
+  const cacheCounts = {}; // hit/miss/shared/revalidated/bypass → count, for the request log
+  await mapWithConcurrency(requests, UPSTREAM_CONCURRENCY, async ({ id, params }) => {
+    const { url, frozenVintage, maxAge, error } = buildObservationsUrl(params || {});
+    if (error) {
+      results[id] = { status: 400, error };
+      return;
+    }
+    try {
+      // Same cache entries and lifetimes as /api/fred
+      const { status, body, cache } = await cachedFetch(url, frozenVintage ? 86400 : maxAge, { requestId, revalidate });
+      cacheCounts[cache] = (cacheCounts[cache] || 0) + 1;
+      let data = null;
+      try { data = JSON.parse(body); } catch { /* non-JSON error page */ }
+      results[id] = status >= 200 && status < 300
+        ? { status, data }
+        : { status, error: data?.error_message || data?.error || `HTTP ${status}` };
+    } catch (error) {
+      results[id] = { status: 502, error: error.message };
+    }
+  });
+
+  res.setHeader('Content-Type', 'application/json');
+  res.status(200).json({ results });
+  logRequest(req, {
+    requestId, source: 'fred', started, status: 200,
+    series: requests.length,
+    failed: Object.values(results).filter(r => r.status !== 200).length,
+    cache: cacheCounts,
+  });
+}
@@ -0,0 +1,10 @@
+// GET /api/fred/status
+//   response: { serverKey: boolean }
+// Tells the client whether this deployment injects FRED_API_KEY itself. When it does,
+// the browser sends no key and still gets live FRED data, so the key never leaves the
+// server.
+export default function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({ serverKey: Boolean(process.env.FRED_API_KEY) });
+}
@@ -0,0 +1,24 @@
+import { fixtureMode } from './_lib/fixtures.js';
+import { upstreamHealth } from './_lib/telemetry.js';
+
+// GET /api/health
+//   response: { status: "ok" | "degraded", instanceStartedAt, fixtures, sources: { fred, fiscal, tic } }
+// `fixtures` is the SIGMA_FIXTURES mode (null when serving live upstream data).
+// Success rate and latency over each source's most recent upstream calls, as seen by
+// this function instance. Cache hits and replayed fixtures don't count, and queries the
+// upstream rejected as invalid are reported apart (see upstreamOutcome). A source is
+// degraded below DEGRADED_BELOW once it has made MIN_CALLS calls, so when the terminal
+// slows down this tells whether FRED or Treasury is the one failing.
+const SOURCES = ['fred', 'fiscal', 'tic'];
+const DEGRADED_BELOW = 0.9;
+const MIN_CALLS = 5;
+const instanceStartedAt = new Date().toISOString();
+
+export default function handler(req, res) {
+  const sources = upstreamHealth(SOURCES);
+  const degraded = Object.values(sources).some(s => s.calls - s.rejected >= MIN_CALLS && s.successRate < DEGRADED_BELOW);
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({ status: degraded ? 'degraded' : 'ok', instanceStartedAt, fixtures: fixtureMode(), sources });
+}
@@ -1,17 +1,29 @@
+import { cachedFetch } from './_lib/cache.js';
+import { cacheControl, wantsRevalidate } from './_lib/http.js';
+import { logRequest, newRequestId } from './_lib/telemetry.js';
+
+const CACHE_SECONDS = 43200;
+
 export default async function handler(req, res) {
+  const started = Date.now();
+  const requestId = newRequestId(req);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('X-Request-Id', requestId);
   const url = new URL(req.url, `http://${req.headers.host}`);
   const path = url.pathname.replace(/^\/api\/tic/, '');
+  const revalidate = wantsRevalidate(req, url.searchParams);
   const ticUrl = `https://ticdata.treasury.gov${path}`;
 
   try {
-    const response = await fetch(ticUrl);
-    const data = await response.text();
+    const { status, body, cache } = await cachedFetch(ticUrl, CACHE_SECONDS, { requestId, revalidate });
 
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cache-Control', 's-maxage=43200, stale-while-revalidate=3600');
+    res.setHeader('Cache-Control', cacheControl(revalidate, `s-maxage=${CACHE_SECONDS}, stale-while-revalidate=3600`));
     res.setHeader('Content-Type', 'text/plain');
-    res.status(response.status).send(data);
+    res.setHeader('X-Sigma-Cache', cache);
+    res.status(status).send(body);
+    logRequest(req, { requestId, source: 'tic', started, status, cache, upstream: ticUrl });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message, requestId });
+    logRequest(req, { requestId, source: 'tic', started, status: 500, upstream: ticUrl, error: error.message });
   }
 }
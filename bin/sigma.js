@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Command-line access to the terminal's derived datasets, built on the same fetchers
+// and transforms as the dashboards (src/data). Requests go through the /api proxies of
+// a running deployment or dev server (`npm run dev`), so no upstream CORS or key setup
+// is needed beyond what the proxies already do.
+//
+//   sigma export liquidity --from 2022-01 --format csv > liquidity.csv
+import { parseArgs } from "node:util";
+import { writeFile } from "node:fs/promises";
+import {
+  configureDataLayer, FED_RESOLUTIONS, fetchFedData, fetchRatesData, fetchBreakevenData,
+  fetchYieldCurveSnapshots, fetchDebtData, fetchMTSData, fetchTICData,
+} from "../src/data/index.js";
+
+const USAGE = `Usage: sigma export <dataset> [options]
+
+Datasets:
+  liquidity      Fed balance sheet and net liquidity, trillions USD (alias: fed)
+  mts-monthly    Monthly receipts, outlays and deficit, billions USD
+  mts-fy         Cumulative deficit by fiscal-year month, billions USD
+  tic            Major foreign holders of Treasuries, billions USD (one column per country)
+  yield-curves   Treasury curve by maturity, current and historical snapshots, %
+  debt           Debt to the Penny, month-end, trillions USD
+  rates          Fed funds, SOFR and 2/10/30Y yields, monthly averages, %
+  breakevens     5Y and 10Y breakeven inflation, monthly averages, %
+
+Options:
+  --from <date>        First period to include (YYYY, YYYY-MM or YYYY-MM-DD)
+  --to <date>          Last period to include
+  --format <fmt>       csv (default), json, or columns (columnar JSON)
+  --resolution <r>     liquidity only: d, w or m (default m)
+  --as-of <date>       Data as published on YYYY-MM-DD (time machine)
+  --base-url <url>     Deployment or dev server serving /api/* (default $SIGMA_BASE_URL
+                       or http://localhost:5173)
+  --api-key <key>      FRED API key (default $FRED_API_KEY; optional when the proxy
+                       injects one)
+  --out <file>         Write to a file instead of stdout
+  -h, --help           Show this help`;
+
+class UsageError extends Error {}
+
+// ─── DATASETS ───────────────────────────────────────────────────────────────
+// Each loads through the data layer and flattens to rows of plain values. `dated`
+// datasets carry a "date" column that --from/--to filter on.
+const DATASETS = {
+  liquidity: {
+    dated: true,
+    load: async (opts, args) => (await fetchFedData(args.resolution, opts)).data.rows,
+  },
+  "mts-monthly": {
+    dated: true,
+    load: async (opts) => (await fetchMTSData(opts)).data.monthly
+      .map(({ date, fy, revenue, spending, deficit, reportDate }) => ({ date, fy, revenue, spending, deficit, reportDate })),
+  },
+  "mts-fy": {
+    dated: false,
+    load: async (opts) => (await fetchMTSData(opts)).data.fyDeficit,
+  },
+  tic: {
+    dated: true,
+    load: async (opts) => {
+      const { dates, countries, totals } = (await fetchTICData(opts)).data;
+      return dates.map((date, i) => ({
+        date,
+        ...Object.fromEntries(Object.entries(countries).map(([name, c]) => [name, c.holdings[i]])),
+        total: totals[i],
+      }));
+    },
+  },
+  "yield-curves": {
+    dated: false,
+    load: async (opts) => {
+      const curves = (await fetchYieldCurveSnapshots(opts)).data;
+      const maturities = Object.keys(Object.values(curves)[0] || {});
+      return maturities.map(maturity => ({
+        maturity,
+        ...Object.fromEntries(Object.entries(curves).map(([name, curve]) => [name, curve[maturity]])),
+      }));
+    },
+  },
+  debt: {
+    dated: true,
+    load: async (opts) => (await fetchDebtData(opts)).data,
+  },
+  rates: {
+    dated: true,
+    load: async (opts) => (await fetchRatesData(opts)).data,
+  },
+  breakevens: {
+    dated: true,
+    load: async (opts) => (await fetchBreakevenData(opts)).data,
+  },
+};
+DATASETS.fed = DATASETS.liquidity;
+
+// Period strings compare as prefixes, so --to 2024 keeps every 2024 date
+const inRange = (date, from, to) =>
+  (!from || date >= from) && (!to || date.slice(0, to.length) <= to);
+
+// ─── FORMATS ────────────────────────────────────────────────────────────────
+// Column order is first appearance across rows; missing values are empty/null.
+const columnNames = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+const csvCell = (v) => {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const FORMATTERS = {
+  csv: (rows) => {
+    const columns = columnNames(rows);
+    return [columns, ...rows.map(row => columns.map(c => row[c]))]
+      .map(values => values.map(csvCell).join(","))
+      .join("\n") + "\n";
+  },
+  json: (rows) => JSON.stringify(rows, null, 2) + "\n",
+  // Parquet-style layout: a typed schema plus one array per column
+  columns: (rows) => {
+    const columns = columnNames(rows);
+    const values = Object.fromEntries(columns.map(c => [c, rows.map(row => row[c] ?? null)]));
+    const schema = columns.map(name => ({
+      name,
+      type: values[name].every(v => v == null || typeof v === "number") ? "number" : "string",
+    }));
+    return JSON.stringify({ rowCount: rows.length, schema, columns: values }) + "\n";
+  },
+};
+
+// ─── MAIN ───────────────────────────────────────────────────────────────────
+async function main(argv) {
+  const { values: args, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      format: { type: "string", default: "csv" },
+      resolution: { type: "string", default: "m" },
+      "as-of": { type: "string" },
+      "base-url": { type: "string", default: process.env.SIGMA_BASE_URL || "http://localhost:5173" },
+      "api-key": { type: "string", default: process.env.FRED_API_KEY || "" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command, name] = positionals;
+  if (args.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (command !== "export") throw new UsageError(`Unknown command "${command}"`);
+  const dataset = DATASETS[name];
+  if (!dataset) throw new UsageError(name ? `Unknown dataset "${name}"` : "Missing dataset name");
+  const format = FORMATTERS[args.format];
+  if (!format) throw new UsageError(`Unknown format "${args.format}" (csv, json or columns)`);
+  if (!FED_RESOLUTIONS[args.resolution]) throw new UsageError(`Unknown resolution "${args.resolution}" (d, w or m)`);
+  if (!dataset.dated && (args.from || args.to)) throw new UsageError(`${name} has no date column; --from/--to do not apply`);
+  for (const flag of ["from", "to"]) {
+    if (args[flag] && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(args[flag])) throw new UsageError(`--${flag} must be YYYY, YYYY-MM or YYYY-MM-DD`);
+  }
+  if (args["as-of"] && !/^\d{4}-\d{2}-\d{2}$/.test(args["as-of"])) throw new UsageError("--as-of must be YYYY-MM-DD");
+
+  // stdout carries the data, so progress logging goes to stderr
+  configureDataLayer({
+    baseUrl: args["base-url"].replace(/\/$/, ""),
+    fredApiKey: args["api-key"],
+    logger: { log: console.error, warn: console.error, error: console.error },
+  });
+
+  const rows = (await dataset.load({ asOf: args["as-of"] || null }, args))
+    .filter(row => !dataset.dated || inRange(row.date, args.from, args.to));
+  const output = format(rows);
+  if (args.out) {
+    await writeFile(args.out, output);
+    console.error(`sigma: wrote ${rows.length} rows to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  if (e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS")) {
+    console.error(`sigma: ${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  console.error(`sigma: ${e.message}`);
+  process.exit(1);
+});
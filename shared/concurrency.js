@@ -0,0 +1,16 @@
+// Helpers used by both the browser data layer (src/data) and the serverless handlers
+// (api/). Keep this directory free of imports so neither side pulls in the other.
+
+// Run `fn` over `items` with at most `limit` calls in flight; results keep input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
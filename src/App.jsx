@@ -1,579 +1,198 @@
-import { useState, useMemo, useEffect, useCallback } from "react";
+import { useState, useMemo, useEffect, useCallback, useRef } from "react";
 import {
   AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip,
   ResponsiveContainer, LineChart, Line, Legend, BarChart, Bar, Cell,
   ComposedChart, ReferenceLine, ScatterChart, Scatter, ZAxis
 } from "recharts";
+import {
+  configureDataLayer, CacheMissError, SchemaError, FED_RESOLUTIONS, FED_ASSET_ITEMS, FED_LIABILITY_ITEMS, RELEASE_SCHEDULES,
+  reserveChangeDrivers, QT_CAP_SCHEDULE, isCapSchedule, qtRunoff, projectBalanceSheet,
+  isoToday, releaseWindow, isStale, fetchFredVintages, fetchFredProxyStatus, summarizeRevisions,
+  PROVIDERS, DATA_SOURCES, sourcesByCategory, seriesById,
+} from "./data/index.js";
 
 // ─── API CONFIGURATION ──────────────────────────────────────────────────────
-// Priority: 1) Environment variable VITE_FRED_API_KEY (for Vite deployment), 2) Runtime input (settings panel)
-// Note: env var only works in Vite builds — in artifact sandbox, use the settings panel
-// FRED calls go through /api/fred proxy to avoid CORS:
-// - Local dev: Vite proxy forwards to api.stlouisfed.org (see vite.config.js)
-// - Production (Vercel): /api/fred.js serverless function proxies the request
-const FRED_BASE = "/api/fred";
-const FISCAL_BASE = "https://api.fiscaldata.treasury.gov/services/api/fiscal_service";
-const FISCAL_PROXY = "/api/fiscal/services/api/fiscal_service";
-const TIC_PROXY = "/api/tic";
-
-let FRED_API_KEY = import.meta.env.VITE_FRED_API_KEY || "";
-
-// ─── FRED FETCH HELPERS ─────────────────────────────────────────────────────
-async function fetchFredSeries(seriesId, startDate = "2020-01-01", frequency = null) {
-  const params = new URLSearchParams({
-    series_id: seriesId,
-    api_key: FRED_API_KEY,
-    file_type: "json",
-    observation_start: startDate,
-    sort_order: "asc",
-  });
-  if (frequency) params.set("frequency", frequency);
-  const res = await fetch(`${FRED_BASE}?${params}`);
-  if (!res.ok) throw new Error(`FRED ${seriesId}: ${res.status}`);
-  const data = await res.json();
-  return data.observations
-    .filter(o => o.value !== ".")
-    .map(o => ({ date: o.date, value: parseFloat(o.value) }));
-}
-
-async function fetchFredMultiple(seriesMap, startDate = "2020-01-01", frequency = null) {
-  const entries = Object.entries(seriesMap);
-  const results = await Promise.all(
-    entries.map(([key, id]) => fetchFredSeries(id, startDate, frequency).then(data => ({ key, data })))
-  );
-  const byDate = {};
-  results.forEach(({ key, data }) => {
-    data.forEach(({ date, value }) => {
-      const dk = date.slice(0, 7);
-      if (!byDate[dk]) byDate[dk] = { date: dk };
-      byDate[dk][key] = value;
-    });
-  });
-  return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
-}
-
-// ─── FED BALANCE SHEET FETCH ────────────────────────────────────────────────
-async function fetchFedData() {
-  const raw = await fetchFredMultiple({
-    total: "WALCL",
-    treasuries: "TREAST",
-    mbs: "WSHOMCB",
-    rrp: "RRPONTSYD",
-    tga: "WTREGEN",
-    reserves: "WRESBAL",
-  }, "2020-01-01", "m");
-
-  return raw
-    .filter(d => d.total && d.treasuries && d.mbs)
-    .map(d => {
-      // WALCL, TREAST, WSHOMCB, WTREGEN, WRESBAL are in millions
-      // RRPONTSYD is in billions
-      const total = d.total / 1e6;
-      const treasuries = d.treasuries / 1e6;
-      const mbs = d.mbs / 1e6;
-      const rrp = (d.rrp || 0) / 1e3;
-      const tga = (d.tga || 0) / 1e6;
-      const reserves = (d.reserves || 0) / 1e6;
-      const other = Math.max(0, total - treasuries - mbs);
-      return {
-        date: d.date,
-        total: +total.toFixed(3),
-        treasuries: +treasuries.toFixed(3),
-        mbs: +mbs.toFixed(3),
-        other: +other.toFixed(3),
-        rrp: +rrp.toFixed(3),
-        tga: +tga.toFixed(3),
-        reserves: +reserves.toFixed(3),
-        netLiquidity: +(total - rrp - tga).toFixed(3),
-      };
-    });
-}
-
-// ─── YIELDS & RATES FETCH ───────────────────────────────────────────────────
-async function fetchRatesData() {
-  return await fetchFredMultiple({
-    ffr: "FEDFUNDS",
-    sofr: "SOFR",
-    y2: "DGS2",
-    y10: "DGS10",
-    y30: "DGS30",
-  }, "2022-01-01", "m");
-}
-
-async function fetchBreakevenData() {
-  return await fetchFredMultiple({
-    be5y: "T5YIE",
-    be10y: "T10YIE",
-  }, "2022-01-01", "m");
-}
-
-async function fetchYieldCurveSnapshots() {
-  const mats = {
-    "1M": "DGS1MO", "3M": "DGS3MO", "6M": "DGS6MO",
-    "1Y": "DGS1", "2Y": "DGS2", "3Y": "DGS3",
-    "5Y": "DGS5", "7Y": "DGS7", "10Y": "DGS10",
-    "20Y": "DGS20", "30Y": "DGS30",
-  };
-  const all = {};
-  for (const [label, id] of Object.entries(mats)) {
-    all[label] = await fetchFredSeries(id, "2019-01-01", "d");
-  }
-  const getVal = (label, target) => {
-    const s = all[label];
-    for (let i = s.length - 1; i >= 0; i--) {
-      if (s[i].date <= target) return s[i].value;
-    }
-    return null;
-  };
-  const snapDates = {
-    "Pre-COVID (Jan '20)": "2020-01-15",
-    "Pre-Hike (Jan '22)": "2022-01-15",
-    "Peak Inversion (Jul '23)": "2023-07-10",
-  };
-  const curves = {};
-  // Current
-  const currentCurve = {};
-  for (const label of Object.keys(mats)) {
-    const s = all[label];
-    currentCurve[label] = s[s.length - 1]?.value || null;
-  }
-  curves["Current"] = currentCurve;
-  // Historical
-  for (const [name, date] of Object.entries(snapDates)) {
-    curves[name] = {};
-    for (const label of Object.keys(mats)) {
-      curves[name][label] = getVal(label, date);
-    }
-  }
-  return curves;
-}
-
-// ─── TREASURY FISCALDATA FETCH ──────────────────────────────────────────────
-async function fetchDebtData() {
-  const url = `${FISCAL_PROXY}/v2/accounting/od/debt_to_penny?` +
-    `fields=record_date,tot_pub_debt_out_amt,debt_held_public_amt,intragov_hold_amt` +
-    `&sort=-record_date&page[size]=2000&filter=record_date:gte:2020-01-01`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`FiscalData debt: ${res.status}`);
-  const data = await res.json();
-  // Group by month, take last reading per month
-  const byMonth = {};
-  data.data.forEach(d => {
-    const m = d.record_date.slice(0, 7);
-    byMonth[m] = {
-      date: m,
-      total: +(parseFloat(d.tot_pub_debt_out_amt) / 1e12).toFixed(2),
-      public: +(parseFloat(d.debt_held_public_amt) / 1e12).toFixed(2),
-      intra: +(parseFloat(d.intragov_hold_amt) / 1e12).toFixed(2),
-    };
-  });
-  return Object.values(byMonth).sort((a, b) => a.date.localeCompare(b.date));
-}
-
-// ─── MONTHLY TREASURY STATEMENT (Receipts & Outlays) ────────────────────────
-async function fetchMTSData() {
-  // MTS Table 1 structure per record_date (one MTS report):
-  //   SL row: "FY 2024" header (null values)
-  //   MTH rows: Oct, Nov, Dec... (actual monthly data for that FY)
-  //   SL row: "Year-to-Date" (cumulative, skip)
-  //   SL row: "FY 2025" header
-  //   MTH rows: Oct, Nov... (current FY months)
-  //   SL row: "Year-to-Date"
-  // We want MTH rows only, using FY headers to assign fiscal years.
-
-  const url = `${FISCAL_PROXY}/v1/accounting/mts/mts_table_1?` +
-    `filter=record_date:gte:2021-10-01` +
-    `&sort=-record_date` +
-    `&page[size]=5000`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`MTS ${res.status}`);
-  const data = await res.json();
-
-  const parseAmt = (v) => {
-    if (v == null || v === "null" || v === "") return 0;
-    const n = parseFloat(v);
-    return isNaN(n) ? 0 : n;
-  };
-
-  const MONTH_MAP = {
-    october: 10, november: 11, december: 12,
-    january: 1, february: 2, march: 3,
-    april: 4, may: 5, june: 6,
-    july: 7, august: 8, september: 9,
-  };
-
-  // Group rows by record_date (each = one MTS report)
-  const byReport = {};
-  data.data.forEach(d => {
-    const rd = d.record_date;
-    if (!byReport[rd]) byReport[rd] = [];
-    byReport[rd].push(d);
-  });
-
-  // Extract monthly data with proper FY assignment
-  const monthlyMap = {}; // "YYYY-MM" → data (latest report wins)
-
-  Object.entries(byReport).forEach(([reportDate, rows]) => {
-    // Sort by line_code_nbr so FY headers come before their months
-    rows.sort((a, b) => parseInt(a.line_code_nbr) - parseInt(b.line_code_nbr));
-
-    let currentFY = null;
-    rows.forEach(row => {
-      // FY header rows (e.g. "FY 2024") establish which FY subsequent MTH rows belong to
-      if (row.record_type_cd === "SL" && /^FY \d{4}$/.test(row.classification_desc)) {
-        currentFY = parseInt(row.classification_desc.replace("FY ", ""));
-        return;
-      }
-
-      // Only process monthly data rows
-      if (row.record_type_cd !== "MTH" || !currentFY) return;
-
-      const monthName = row.classification_desc.toLowerCase();
-      const calMonth = MONTH_MAP[monthName];
-      if (!calMonth) return;
-
-      // FY starts in October: Oct–Dec = prior calendar year, Jan–Sep = FY year
-      const calYear = calMonth >= 10 ? currentFY - 1 : currentFY;
-      const dateKey = `${calYear}-${String(calMonth).padStart(2, "0")}`;
-
-      const rcpt = parseAmt(row.current_month_gross_rcpt_amt);
-      const outly = parseAmt(row.current_month_gross_outly_amt);
-      const dfct = parseAmt(row.current_month_dfct_sur_amt);
-
-      if (rcpt === 0 && outly === 0) return;
-
-      // Keep the version from the latest report date (most current revision)
-      if (!monthlyMap[dateKey] || reportDate > monthlyMap[dateKey].reportDate) {
-        monthlyMap[dateKey] = {
-          date: dateKey,
-          fy: currentFY,
-          calMonth,
-          revenue: +(rcpt / 1e9).toFixed(1),
-          spending: +(Math.abs(outly) / 1e9).toFixed(1),
-          deficit: +(-Math.abs(dfct) / 1e9).toFixed(1), // negative = deficit
-          reportDate,
-        };
-        // April has negative dfct (surplus) — preserve sign
-        if (dfct < 0) monthlyMap[dateKey].deficit = +(Math.abs(dfct) / 1e9).toFixed(1);
-      }
-    });
-  });
-
-  const monthly = Object.values(monthlyMap)
-    .filter(d => d.revenue > 0 && d.spending > 0)
-    .sort((a, b) => a.date.localeCompare(b.date));
-
-  if (monthly.length === 0) {
-    throw new Error("MTS: could not parse monthly data.");
-  }
-
-  console.log(`MTS: parsed ${monthly.length} months, ${monthly[0].date} → ${monthly[monthly.length - 1].date}`);
-
-  // Build cumulative deficit by fiscal year
-  const FY_MONTHS = ["Oct", "Nov", "Dec", "Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep"];
-  const fyMap = {};
-
-  monthly.forEach(d => {
-    const fyKey = `fy${d.fy}`;
-    if (!fyMap[fyKey]) fyMap[fyKey] = { months: [] };
-    const fyMonthIdx = d.calMonth >= 10 ? d.calMonth - 10 : d.calMonth + 2;
-    fyMap[fyKey].months.push({ idx: fyMonthIdx, deficit: d.deficit });
-  });
-
-  const fyDeficit = FY_MONTHS.map((month, idx) => {
-    const row = { month };
-    Object.entries(fyMap).forEach(([fyKey, fyData]) => {
-      const monthsUpTo = fyData.months
-        .filter(m => m.idx <= idx)
-        .sort((a, b) => a.idx - b.idx);
-      if (monthsUpTo.length > 0 && monthsUpTo[monthsUpTo.length - 1].idx === idx) {
-        let cumulative = 0;
-        monthsUpTo.forEach(m => cumulative += m.deficit);
-        row[fyKey] = +cumulative.toFixed(1);
-      } else {
-        row[fyKey] = null;
-      }
-    });
-    return row;
-  });
-
-  return { monthly, fyDeficit, fyKeys: Object.keys(fyMap).sort() };
-}
-
-// ─── TIC MAJOR FOREIGN HOLDERS ──────────────────────────────────────────────
-async function fetchTICData() {
-  const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-  const countryData = {};   // { "Japan": { "2024-12": 1061.5, ... }, ... }
-  let grandTotalByDate = {};
-  const currentSourceCountries = new Set(); // Track countries in slt_table5.html
-
-  // Helper to clean country names
-  const cleanCountryName = (name) => {
-    let country = name.replace(/"/g, "").trim();
-    if (country === "China, Mainland") return "China";
-    if (country === "Korea, South") return "South Korea";
-    return country;
-  };
-
-  // --- 1. Fetch HISTORICAL data (mfhhis01.txt) ---
-  try {
-    const res = await fetch(`${TIC_PROXY}/Publish/mfhhis01.txt`);
-    if (res.ok) {
-      const text = await res.text();
-      const lines = text.split("\n");
-
-      let i = 0;
-      while (i < lines.length) {
-        const line = lines[i].replace(/\r/, "");
-
-        // Look for month header rows (e.g., "\tDec\tNov\tOct...")
-        const monthMatch = line.match(/^\t+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\t/);
-        if (monthMatch) {
-          const months = line.split("\t").filter(s => s.trim());
-
-          // Next line has "Country" and years
-          i++;
-          if (i >= lines.length) break;
-          const yearLine = lines[i].replace(/\r/, "");
-          const yearParts = yearLine.split("\t").filter(s => s.trim());
-          const years = yearParts.slice(1);
-
-          // Build date columns
-          const dateCols = months.map((m, j) => {
-            const yr = years[j] || years[0];
-            const mi = MONTH_NAMES.indexOf(m);
-            if (mi === -1 || !yr) return null;
-            return `${yr}-${String(mi + 1).padStart(2, "0")}`;
-          });
-
-          // Skip dashes line
-          i++;
-          if (i < lines.length && lines[i].includes("------")) i++;
-
-          // Parse country rows until we hit empty line, "Of which:", or another block
-          while (i < lines.length) {
-            const row = lines[i].replace(/\r/, "");
-            if (!row.trim() || row.trim().startsWith("Of which:")) break;
-            if (/^\t+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\t/.test(row)) break;
-
-            const parts = row.split("\t");
-            let country = cleanCountryName(parts[0]);
-            if (!country) { i++; continue; }
-
-            const values = parts.slice(1).map(v => {
-              const cleaned = v.trim().replace(/,/g, "");
-              if (!cleaned || cleaned === "null" || cleaned === "*") return 0;
-              const n = parseFloat(cleaned);
-              return isNaN(n) ? 0 : n;
-            });
-
-            if (country === "Grand Total") {
-              dateCols.forEach((d, j) => {
-                if (d && values[j]) grandTotalByDate[d] = values[j];
-              });
-            } else {
-              if (!countryData[country]) countryData[country] = {};
-              dateCols.forEach((d, j) => {
-                if (d && values[j] > 0) {
-                  countryData[country][d] = values[j];
-                }
-              });
-            }
-            i++;
-          }
-        } else {
-          i++;
-        }
-      }
-      console.log("TIC: parsed historical mfhhis01.txt");
-    }
-  } catch (e) {
-    console.warn("TIC: historical fetch failed, continuing with current source", e);
-  }
-
-  // --- 2. Fetch CURRENT data (slt_table5.html) - overwrites overlapping dates ---
-  const currentRes = await fetch(`${TIC_PROXY}/resource-center/data-chart-center/tic/Documents/slt_table5.html`);
-  if (!currentRes.ok) throw new Error(`TIC current ${currentRes.status}`);
-  const html = await currentRes.text();
-
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(html, "text/html");
-  const table = doc.querySelector("table");
-  if (!table) throw new Error("TIC: no table found in slt_table5.html");
-
-  const rows = table.querySelectorAll("tr");
-  let dateColumns = []; // ["2025-11", "2025-10", ...]
-
-  for (const row of rows) {
-    const cells = row.querySelectorAll("td, th");
-    if (cells.length === 0) continue;
-
-    const firstCell = cells[0].textContent.trim();
-
-    // Check if this row contains date headers (must be BEFORE skip filters)
-    // The "Country" row has format: "Country", "2025-10", "2025-09", ...
-    if (cells[1]?.textContent.trim().match(/^\d{4}-\d{2}$/)) {
-      dateColumns = [];
-      for (let i = 1; i < cells.length; i++) {
-        const cellText = cells[i].textContent.trim();
-        if (cellText.match(/^\d{4}-\d{2}$/)) {
-          dateColumns.push(cellText);
-        }
-      }
-      console.log(`TIC: found ${dateColumns.length} date columns from slt_table5`);
-      continue;
-    }
-
-    // Skip non-data rows
-    if (!firstCell ||
-        firstCell.length > 40 || // Filter out footnote text rows
-        firstCell.startsWith("Of Which") ||
-        firstCell.startsWith("Notes") ||
-        firstCell.startsWith("Holdings") ||
-        firstCell.startsWith("Billions") ||
-        firstCell.startsWith("Link:") ||
-        firstCell === "Country") continue;
-
-    // Skip if we don't have date columns yet
-    if (dateColumns.length === 0) continue;
-
-    // This is a country data row
-    let country = cleanCountryName(firstCell);
-    if (!country || country === "Grand Total") {
-      if (country === "Grand Total") {
-        for (let i = 1; i < cells.length && i - 1 < dateColumns.length; i++) {
-          const val = parseFloat(cells[i].textContent.trim().replace(/,/g, ""));
-          if (!isNaN(val) && val > 0) {
-            grandTotalByDate[dateColumns[i - 1]] = val;
-          }
-        }
-      }
-      continue;
-    }
-
-    if (!countryData[country]) countryData[country] = {};
-    currentSourceCountries.add(country); // Track this country as present in current source
-
-    for (let i = 1; i < cells.length && i - 1 < dateColumns.length; i++) {
-      const val = parseFloat(cells[i].textContent.trim().replace(/,/g, ""));
-      if (!isNaN(val) && val > 0) {
-        countryData[country][dateColumns[i - 1]] = val; // Overwrites historical
-      }
-    }
-  }
-
-  console.log(`TIC: parsed current slt_table5.html (${currentSourceCountries.size} countries)`);
-
-  // Filter to only countries present in current source (avoid stale-only holders showing as zero)
-  for (const country of Object.keys(countryData)) {
-    if (!currentSourceCountries.has(country)) {
-      delete countryData[country];
-    }
-  }
-
-  // --- 3. Build display dates: quarterly for old, monthly for last 18 months ---
-  const allDates = [...new Set([
-    ...Object.values(countryData).flatMap(c => Object.keys(c)),
-    ...Object.keys(grandTotalByDate)
-  ])].sort();
-
-  const now = new Date();
-  const cutoffDate = new Date(now.getFullYear(), now.getMonth() - 18, 1);
-  const cutoffStr = `${cutoffDate.getFullYear()}-${String(cutoffDate.getMonth() + 1).padStart(2, "0")}`;
-
-  const displayDates = allDates.filter(d => {
-    if (d >= cutoffStr) return true; // Monthly for last 18 months
-    // Quarterly (Mar, Jun, Sep, Dec) for older data
-    const month = parseInt(d.split("-")[1], 10);
-    return [3, 6, 9, 12].includes(month);
-  }).filter(d => d >= "2020-01");
-
-  // Country colors (stable assignment)
-  const COUNTRY_COLORS = {
-    Japan: "#ef4444", China: "#f59e0b", "United Kingdom": "#3b82f6",
-    Luxembourg: "#8b5cf6", "Cayman Islands": "#22d3ee", Canada: "#10b981",
-    Belgium: "#f472b6", Ireland: "#a78bfa", Switzerland: "#fbbf24",
-    Taiwan: "#6ee7b7", India: "#fb923c", "Hong Kong": "#e879f9",
-    Brazil: "#34d399", Singapore: "#93c5fd", France: "#c084fc",
-    Korea: "#7dd3fc", "South Korea": "#7dd3fc", Norway: "#67e8f9", "Saudi Arabia": "#86efac",
-    Germany: "#fca5a5", Bermuda: "#d8b4fe", Thailand: "#bef264",
-    Israel: "#a5b4fc", Philippines: "#fcd34d", Kuwait: "#5eead4",
-    Mexico: "#f9a8d4", Australia: "#fdba74", "United Arab Emirates": "#99f6e4",
-    Colombia: "#d9f99d", Sweden: "#fde68a", Poland: "#c4b5fd",
-    Netherlands: "#818cf8", Spain: "#fda4af", Italy: "#a3e635",
-    Peru: "#d4d4d8", Chile: "#bae6fd", Indonesia: "#fef08a",
-  };
-
-  // Build holdings arrays for each country that has data for most display dates
-  const countries = {};
-  const sortedCountryNames = Object.keys(countryData)
-    .filter(name => name !== "All Other")
-    .sort((a, b) => {
-      const aLatest = countryData[a][displayDates[displayDates.length - 1]] || 0;
-      const bLatest = countryData[b][displayDates[displayDates.length - 1]] || 0;
-      return bLatest - aLatest;
-    })
-    .slice(0, 20); // Top 20 countries
-
-  sortedCountryNames.forEach(name => {
-    countries[name] = {
-      color: COUNTRY_COLORS[name] || `hsl(${(Object.keys(countries).length * 37) % 360}, 60%, 55%)`,
-      holdings: displayDates.map(d => countryData[name][d] || 0),
-    };
-  });
-
-  // Grand totals
-  const totals = displayDates.map(d => grandTotalByDate[d] || 0);
-
-  console.log(`TIC: parsed ${Object.keys(countryData).length} countries, ${displayDates.length} dates (${displayDates[0]} → ${displayDates[displayDates.length - 1]})`);
-
-  return { dates: displayDates, countries, totals };
-}
+// Priority: 1) Server-side FRED_API_KEY, injected by the proxies — the browser sends no key
+// (see /api/fred/status), 2) Environment variable VITE_FRED_API_KEY (bundled into the
+// client), 3) Runtime input (settings panel)
+// Note: env vars only work with the proxies/Vite builds — in artifact sandbox, use the settings panel
+// Fetchers live in ./data and call same-origin proxies to avoid CORS:
+// - Local dev: vite.config.js mounts the same api/ handlers on the dev server
+// - Production (Vercel): the serverless functions in api/ proxy the request
 
 // ─── MASTER DATA HOOK ───────────────────────────────────────────────────────
-function useDataFetcher(apiKey) {
+const SCHEDULER_TICK_MS = 60 * 1000;
+const LATE_RELEASE_RETRY_MS = 15 * 60 * 1000;
+
+// Fetches every source in DATA_SOURCES that has a fetcher.
+// fredLive: FRED requests can succeed (a server-side key, or fredApiKey sent by the client)
+function useDataFetcher({ fredLive, fredApiKey }, fedResolution = "m", asOf = null) {
   const [liveData, setLiveData] = useState({});
   const [loadingStatus, setLoadingStatus] = useState({});
-  const [errors, setErrors] = useState({});
+  const [errors, setErrors] = useState({}); // key → { message, schema } (schema: SchemaError details or null)
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [overdue, setOverdue] = useState({}); // key → Date the missing release was due
+  const [meta, setMeta] = useState({}); // key → freshness metadata (see buildMeta)
+
+  // Each fetchSource call bumps its key's generation. A result is applied only while its
+  // generation is still current and its signal (tied to effect cleanup) isn't aborted.
+  const generations = useRef({});
+  // Per source: the fetcher and opts of the current generation, when it last fetched
+  // successfully, and a fingerprint of that payload (to tell whether a release landed);
+  // `failedAt` marks a source whose load failed before any fetch succeeded
+  const sources = useRef({});
+  const fetchedAt = useRef({});
+  const failedAt = useRef({});
+  const fingerprints = useRef({});
+  // Per source: the abort controller and the inputs of its current fetch
+  const controllers = useRef({});
+  const requested = useRef({});
+
+  // `background` refreshes keep the current data on screen, skip the cache pass and
+  // revalidate past the proxy and CDN caches (they run after a release). Resolves to
+  // the fetched data, or undefined if superseded or failed.
+  const fetchSource = useCallback(async (key, fn, opts = {}, { background = false } = {}) => {
+    const generation = (generations.current[key] || 0) + 1;
+    generations.current[key] = generation;
+    const superseded = () => generations.current[key] !== generation || opts.signal?.aborted;
+    sources.current[key] = { fn, opts };
+
+    let hasCached = background;
+    if (!background) {
+      delete failedAt.current[key];
+      // Drop the previous result so a source never shows data from another as-of date
+      setLiveData(prev => { const n = { ...prev }; delete n[key]; return n; });
+      setMeta(prev => { const n = { ...prev }; delete n[key]; return n; });
+      setLoadingStatus(prev => ({ ...prev, [key]: "loading" }));
+      setErrors(prev => { const n = { ...prev }; delete n[key]; return n; });
+
+      // Stale-while-revalidate: paint from the persistent cache, then hit the network
+      try {
+        const cached = await fn({ ...opts, cacheOnly: true });
+        if (superseded()) return;
+        hasCached = true;
+        setLiveData(prev => ({ ...prev, [key]: cached.data }));
+        setMeta(prev => ({ ...prev, [key]: cached.meta }));
+        setLoadingStatus(prev => ({ ...prev, [key]: "cached" }));
+      } catch (e) {
+        if (superseded()) return;
+        if (!(e instanceof CacheMissError)) console.warn(`${key} cache read failed:`, e);
+      }
+    }
 
-  const fetchSource = useCallback(async (key, fn) => {
-    setLoadingStatus(prev => ({ ...prev, [key]: "loading" }));
-    setErrors(prev => { const n = { ...prev }; delete n[key]; return n; });
     try {
-      const data = await fn();
+      const { data, meta: fetchedMeta } = await fn(background ? { ...opts, revalidate: true } : opts);
+      if (superseded()) return;
+      fetchedAt.current[key] = new Date();
+      delete failedAt.current[key];
+      fingerprints.current[key] = JSON.stringify(data);
       setLiveData(prev => ({ ...prev, [key]: data }));
+      setMeta(prev => ({ ...prev, [key]: fetchedMeta }));
       setLoadingStatus(prev => ({ ...prev, [key]: "live" }));
+      setErrors(prev => { const n = { ...prev }; delete n[key]; return n; });
+      setLastUpdated(new Date());
+      return data;
     } catch (e) {
+      if (superseded()) return;
       console.error(`${key} fetch failed:`, e);
-      setErrors(prev => ({ ...prev, [key]: e.message }));
-      setLoadingStatus(prev => ({ ...prev, [key]: "error" }));
+      if (!fetchedAt.current[key]) failedAt.current[key] = new Date();
+      // Keep showing the cached copy rather than dropping back to illustrative data
+      setErrors(prev => ({
+        ...prev,
+        [key]: {
+          message: hasCached ? `${e.message} (showing cached data)` : e.message,
+          schema: e instanceof SchemaError ? { source: e.source, field: e.field, expected: e.expected } : null,
+        },
+      }));
+      setLoadingStatus(prev => ({ ...prev, [key]: hasCached ? "stale" : "error" }));
     }
   }, []);
 
+  // A source (re)fetches when the time-machine date or the FRED key changes, or one of
+  // the hook params it lists in `params` (e.g. the Fed tab's resolution). Sources whose
+  // provider needs a FRED key wait until FRED is live; the rest load right away.
   useEffect(() => {
-    if (!apiKey) return;
-    FRED_API_KEY = apiKey;
-    // Reset state for fresh fetch
-    setLiveData({});
-    setLoadingStatus({});
-    setErrors({});
-    fetchSource("fed", fetchFedData);
-    fetchSource("rates", fetchRatesData);
-    fetchSource("breakevens", fetchBreakevenData);
-    fetchSource("debt", fetchDebtData);
-    fetchSource("mts", fetchMTSData);
-    fetchSource("yieldCurve", fetchYieldCurveSnapshots);
-    setLastUpdated(new Date());
-  }, [apiKey, fetchSource]);
-
-  // TIC data doesn't need API key - fetch on mount
+    configureDataLayer({ fredApiKey });
+    const params = { fedResolution };
+    const started = [];
+    DATA_SOURCES.forEach(src => {
+      if (!src.fetch) return;
+      const enabled = fredLive || !PROVIDERS[src.provider].needsFredKey;
+      const inputs = enabled ? JSON.stringify([asOf, fredApiKey, ...(src.params || []).map(p => params[p])]) : null;
+      if (requested.current[src.id] === inputs) return;
+      requested.current[src.id] = inputs;
+      if (!enabled) return;
+      const controller = new AbortController();
+      controllers.current[src.id] = controller;
+      const job = { id: src.id, controller, done: false };
+      started.push(job);
+      fetchSource(src.id, (opts) => src.fetch(opts, params), { asOf, signal: controller.signal })
+        .finally(() => { job.done = true; });
+    });
+    // Abort this run's fetches that are still in flight (superseded inputs, or unmount);
+    // forgetting their inputs lets the next run start them again if still wanted
+    return () => started.forEach(({ id, controller, done }) => {
+      if (done) return;
+      controller.abort();
+      delete requested.current[id];
+    });
+  }, [fredLive, fredApiKey, fedResolution, asOf, fetchSource]);
+
+  // Background refreshes reuse the source's last controller, so unmount aborts those too
+  useEffect(() => () => {
+    Object.values(controllers.current).forEach(c => c.abort());
+    requested.current = {}; // a remount (StrictMode) starts over
+  }, []);
+
+  // Release-aware auto-refresh: once a source's scheduled release (plus grace) has
+  // passed since we last fetched it, refetch just that source in the background. If the
+  // payload comes back unchanged the release is late — flag it and retry periodically.
+  // A source whose load failed outright is retried on the same interval.
   useEffect(() => {
-    fetchSource("tic", fetchTICData);
-  }, [fetchSource]);
+    if (asOf) return; // historical views never change
+    setOverdue({});
+    const awaiting = {};
+    const tick = () => {
+      const now = new Date();
+      Object.entries(RELEASE_SCHEDULES).forEach(async ([key, schedule]) => {
+        const source = sources.current[key];
+        const fetched = fetchedAt.current[key];
+        const failed = failedAt.current[key];
+        if (!source) return; // source not in use
+        if (!fetched) {
+          // Initial load still pending, or it failed: reload (clears `failedAt` while in flight)
+          if (failed && now - failed >= LATE_RELEASE_RETRY_MS) fetchSource(key, source.fn, source.opts);
+          return;
+        }
+        const { last } = releaseWindow(schedule, now);
+        if (!last) return;
+        const dueAt = new Date(last.getTime() + schedule.graceMinutes * 60 * 1000);
+        if (now < dueAt) return;
+        const missedRelease = fetched < dueAt;
+        const retryLate = awaiting[key] && now - fetched >= LATE_RELEASE_RETRY_MS;
+        if (!missedRelease && !retryLate) return;
+
+        const before = fingerprints.current[key];
+        fetchedAt.current[key] = now; // don't re-trigger while this refresh is in flight
+        const data = await fetchSource(key, source.fn, source.opts, { background: true });
+        if (data === undefined) {
+          awaiting[key] = dueAt; // failed: try again after the late-release interval
+          return;
+        }
+        if (fingerprints.current[key] !== before) {
+          delete awaiting[key];
+          setOverdue(prev => { const n = { ...prev }; delete n[key]; return n; });
+        } else {
+          awaiting[key] = dueAt;
+          setOverdue(prev => ({ ...prev, [key]: dueAt }));
+        }
+      });
+    };
+    const timer = setInterval(tick, SCHEDULER_TICK_MS);
+    return () => clearInterval(timer);
+  }, [asOf, fetchSource]);
 
-  return { liveData, loadingStatus, errors, lastUpdated };
+  return { liveData, meta, loadingStatus, errors, lastUpdated, overdue };
 }
 
 // ─── REALISTIC FED BALANCE SHEET DATA (Monthly, 2020-2024) ─────────────────
@@ -649,11 +268,38 @@ const pctChange = (curr, prev) => {
 };
 
 const formatDateLabel = (d) => {
-  const [y, m] = d.split("-");
+  const [y, m, day] = d.split("-");
   const months = ["", "Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+  if (day) return `${months[parseInt(m)]} ${parseInt(day)} '${y.slice(2)}`;
   return `${months[parseInt(m)]} '${y.slice(2)}`;
 };
 
+// Axis ticks stay month-level even for daily/weekly data; tooltips show the full date
+const formatTickLabel = (d) => formatDateLabel(d.slice(0, 7));
+
+// useState mirrored to localStorage as JSON; falls back to `initial` when storage is
+// unavailable or holds something unreadable, or a value `isValid` rejects
+const useStoredState = (key, initial, isValid = () => true) => {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored == null) return initial;
+      const parsed = JSON.parse(stored);
+      return isValid(parsed) ? parsed : initial;
+    } catch {
+      return initial;
+    }
+  });
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Private mode / quota: keep the in-memory value
+    }
+  }, [key, value]);
+  return [value, setValue];
+};
+
 // ─── NAV ITEMS ──────────────────────────────────────────────────────────────
 const NAV = [
   { id: "fed", label: "Fed Balance Sheet", icon: "◈", status: "live" },
@@ -665,7 +311,7 @@ const NAV = [
 ];
 
 // ─── CUSTOM TOOLTIP ─────────────────────────────────────────────────────────
-const CustomTooltip = ({ active, payload, label, series }) => {
+const CustomTooltip = ({ active, payload, label, series, format = fmt }) => {
   if (!active || !payload?.length) return null;
   return (
     <div style={{
@@ -685,7 +331,7 @@ const CustomTooltip = ({ active, payload, label, series }) => {
             {p.name}
           </span>
           <span style={{ color: C.text, fontWeight: 600 }}>
-            {fmt(p.value)}
+            {format(p.value)}
           </span>
         </div>
       ))}
@@ -716,8 +362,65 @@ const SingleTooltip = ({ active, payload, label, color, labelKey }) => {
   );
 };
 
+// ─── FRESHNESS BADGE ────────────────────────────────────────────────────────
+// Freshness of the series behind one card: `ids` picks series out of a source's meta
+// (all of them by default). Null until the source has loaded.
+const freshness = (meta, ids = null) => {
+  if (!meta) return null;
+  const picked = (ids || Object.keys(meta.series)).filter(id => meta.series[id]);
+  const lasts = picked.map(id => meta.series[id].lastObservation).filter(Boolean).sort();
+  return {
+    lastObservation: lasts.length > 0 ? lasts[lasts.length - 1] : null,
+    fetchedAt: meta.fetchedAt,
+    nextRelease: meta.nextRelease,
+    totalRecords: meta.totalRecords,
+    stale: picked.filter(id => isStale(meta.source, meta.series[id], meta.asOf)),
+    series: picked.map(id => [id, meta.series[id].lastObservation]),
+  };
+};
+
+// Freshness of a value derived from several sources' series: as fresh as its oldest
+// input, and stale when any input is. Null until every source has loaded.
+const combineFreshness = (...parts) => {
+  if (parts.some(f => !f)) return null;
+  const earliest = (values) => values.filter(Boolean).sort()[0] ?? null;
+  return {
+    lastObservation: earliest(parts.map(f => f.lastObservation)),
+    fetchedAt: parts.some(f => !f.fetchedAt) ? null : earliest(parts.map(f => f.fetchedAt)), // null: from cache
+    nextRelease: earliest(parts.map(f => f.nextRelease)),
+    stale: parts.flatMap(f => f.stale),
+    series: parts.flatMap(f => f.series),
+  };
+};
+
+const FreshnessBadge = ({ freshness: f }) => {
+  if (!f?.lastObservation) return null;
+  const stale = f.stale.length > 0;
+  const tooltip = [
+    ...f.series.map(([id, last]) => `${id}: last observation ${last ? formatDateLabel(last) : "—"}`),
+    `Fetched: ${f.fetchedAt ? new Date(f.fetchedAt).toLocaleString() : "from cache"}`,
+    f.totalRecords != null && `Records: ${f.totalRecords.toLocaleString()}`,
+    f.nextRelease && `Next release: ${new Date(f.nextRelease).toLocaleString()}`,
+    stale && `Stale for its cadence: ${f.stale.join(", ")}`,
+  ].filter(Boolean).join("\n");
+  return (
+    <span title={tooltip} style={{
+      fontFamily: "'JetBrains Mono', monospace",
+      fontSize: 9,
+      padding: "1px 6px",
+      borderRadius: 4,
+      background: stale ? `${C.rrp}20` : `${C.textMuted}20`,
+      color: stale ? C.rrp : C.textMuted,
+      letterSpacing: "0.03em",
+      whiteSpace: "nowrap",
+    }}>
+      {stale ? "⚠ " : ""}{formatDateLabel(f.lastObservation)}
+    </span>
+  );
+};
+
 // ─── STAT CARD ──────────────────────────────────────────────────────────────
-const StatCard = ({ label, value, change, sub, color, small }) => {
+const StatCard = ({ label, value, change, sub, color, small, freshness }) => {
   const isPositive = change && parseFloat(change) > 0;
   return (
     <div style={{
@@ -735,8 +438,13 @@ const StatCard = ({ label, value, change, sub, color, small }) => {
         textTransform: "uppercase",
         letterSpacing: "0.08em",
         marginBottom: 6,
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: 6,
       }}>
         {label}
+        <FreshnessBadge freshness={freshness} />
       </div>
       <div style={{
         fontFamily: "'JetBrains Mono', monospace",
@@ -773,39 +481,238 @@ const StatCard = ({ label, value, change, sub, color, small }) => {
 };
 
 // ─── CHART CARD ─────────────────────────────────────────────────────────────
-const ChartCard = ({ title, subtitle, children, height = 320 }) => (
-  <div style={{
-    background: C.surface,
-    border: `1px solid ${C.border}`,
-    borderRadius: 12,
-    padding: "20px 20px 12px",
-    marginBottom: 20,
-  }}>
-    <div style={{ marginBottom: 16, display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
-      <div>
-        <span style={{
-          fontFamily: "'Outfit', sans-serif",
-          fontSize: 15,
-          fontWeight: 600,
-          color: C.text,
-        }}>
-          {title}
-        </span>
-        {subtitle && (
+// `controls` (e.g. range sliders) sit between the header and the fixed-height chart area
+const ChartCard = ({ title, subtitle, actions, controls, revisions, freshness, children, height = 320 }) => {
+  const [showRevisions, setShowRevisions] = useState(false);
+  return (
+    <div style={{
+      background: C.surface,
+      border: `1px solid ${C.border}`,
+      borderRadius: 12,
+      padding: "20px 20px 12px",
+      marginBottom: 20,
+    }}>
+      <div style={{ marginBottom: 16, display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <div>
           <span style={{
             fontFamily: "'Outfit', sans-serif",
-            fontSize: 12,
-            color: C.textMuted,
-            marginLeft: 10,
+            fontSize: 15,
+            fontWeight: 600,
+            color: C.text,
           }}>
-            {subtitle}
+            {title}
           </span>
-        )}
+          {subtitle && (
+            <span style={{
+              fontFamily: "'Outfit', sans-serif",
+              fontSize: 12,
+              color: C.textMuted,
+              marginLeft: 10,
+            }}>
+              {subtitle}
+            </span>
+          )}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <FreshnessBadge freshness={freshness} />
+          {actions}
+          {revisions && (
+            <button
+              onClick={() => setShowRevisions(true)}
+              title="Compare first-print and current values"
+              style={{
+                padding: "4px 10px",
+                background: "transparent",
+                border: `1px solid ${C.border}`,
+                borderRadius: 6,
+                color: C.textMuted,
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 11,
+                cursor: "pointer",
+              }}
+            >
+              ↺ Revisions
+            </button>
+          )}
+        </div>
+      </div>
+      {controls}
+      <div style={{ height }}>
+        {children}
       </div>
+      {showRevisions && (
+        <RevisionViewer title={title} {...revisions} onClose={() => setShowRevisions(false)} />
+      )}
     </div>
-    <div style={{ height }}>
-      {children}
+  );
+};
+
+// ─── REVISION VIEWER ────────────────────────────────────────────────────────
+// Overlays each observation's first print against today's value using FRED vintages.
+// `series` is [{ id, label, units }] for the FRED series behind the chart.
+const RevisionViewer = ({ title, series, start = "2020-01-01", onClose }) => {
+  const [seriesId, setSeriesId] = useState(series[0].id);
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setRows(null);
+    setError(null);
+    fetchFredVintages(seriesId, start, { signal: controller.signal })
+      .then(obs => { if (!controller.signal.aborted) setRows(summarizeRevisions(obs)); })
+      .catch(e => { if (!controller.signal.aborted) setError(e.message); });
+    return () => controller.abort();
+  }, [seriesId, start]);
+
+  const active = series.find(s => s.id === seriesId);
+  const fmtVal = (v) => v == null ? "—" : `${v.toLocaleString(undefined, { maximumFractionDigits: 3 })}${active.units ? ` ${active.units}` : ""}`;
+  const revised = rows ? rows.filter(r => r.revision !== 0) : [];
+  const largest = revised.reduce((max, r) => !max || Math.abs(r.revision) > Math.abs(max.revision) ? r : max, null);
+
+  return (
+    <div style={{
+      position: "fixed",
+      inset: 0,
+      background: "rgba(0,0,0,0.6)",
+      backdropFilter: "blur(4px)",
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      zIndex: 1000,
+    }} onClick={onClose}>
+      <div style={{
+        background: C.surface,
+        border: `1px solid ${C.borderLight}`,
+        borderRadius: 14,
+        padding: "24px 28px",
+        width: 860,
+        maxWidth: "92vw",
+        boxShadow: "0 20px 60px rgba(0,0,0,0.5)",
+      }} onClick={e => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 14 }}>
+          <div>
+            <div style={{ fontFamily: "'Outfit', sans-serif", fontSize: 17, fontWeight: 700, color: C.text }}>
+              Revision History
+            </div>
+            <div style={{ fontFamily: "'Outfit', sans-serif", fontSize: 12, color: C.textMuted, marginTop: 2 }}>
+              {title} — first print vs. current vintage (FRED/ALFRED)
+            </div>
+          </div>
+          {series.length > 1 && (
+            <SegmentedControl
+              options={series.map(s => ({ value: s.id, label: s.id }))}
+              value={seriesId}
+              onChange={setSeriesId}
+            />
+          )}
+        </div>
+
+        <div style={{ display: "flex", gap: 14, marginBottom: 16, flexWrap: "wrap" }}>
+          <StatCard small label={active.label} value={active.id} sub={active.units || ""} />
+          <StatCard small label="Revised Observations" value={rows ? `${revised.length}/${rows.length}` : "—"} sub="current ≠ first print" />
+          <StatCard
+            small
+            label="Largest Revision"
+            value={largest ? `${largest.revision > 0 ? "+" : ""}${fmtVal(largest.revision)}` : "—"}
+            sub={largest ? `${formatDateLabel(largest.date)} (${largest.vintages} vintages)` : ""}
+            color={largest ? (largest.revision > 0 ? C.green : C.red) : C.textDim}
+          />
+        </div>
+
+        <div style={{ height: 320 }}>
+          {error && (
+            <div style={{ color: C.red, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>✗ {error}</div>
+          )}
+          {!error && !rows && (
+            <div style={{ color: C.textMuted, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>Loading vintages…</div>
+          )}
+          {rows && (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={rows} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+                <XAxis
+                  dataKey="date"
+                  tickFormatter={formatTickLabel}
+                  tick={{ fill: C.textMuted, fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
+                  axisLine={{ stroke: C.border }}
+                  tickLine={false}
+                  interval={Math.max(0, Math.ceil(rows.length / 9) - 1)}
+                />
+                <YAxis
+                  tick={{ fill: C.textMuted, fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
+                  axisLine={false}
+                  tickLine={false}
+                  domain={["auto", "auto"]}
+                  tickFormatter={(v) => v.toLocaleString()}
+                />
+                <Tooltip
+                  content={({ active: isActive, payload, label }) => {
+                    if (!isActive || !payload?.length) return null;
+                    const row = payload[0].payload;
+                    return (
+                      <div style={{
+                        background: C.surface,
+                        border: `1px solid ${C.borderLight}`,
+                        borderRadius: 8,
+                        padding: "10px 14px",
+                        fontFamily: "'JetBrains Mono', monospace",
+                        fontSize: 12,
+                      }}>
+                        <div style={{ color: C.textDim, marginBottom: 6, fontFamily: "'Outfit', sans-serif", fontSize: 13 }}>
+                          {formatDateLabel(label)}
+                        </div>
+                        <div style={{ color: C.textDim }}>First print: {fmtVal(row.firstPrint)} <span style={{ color: C.textMuted }}>({row.firstSeen})</span></div>
+                        <div style={{ color: C.accent }}>Current: {fmtVal(row.current)}</div>
+                        <div style={{ color: row.revision === 0 ? C.textMuted : row.revision > 0 ? C.green : C.red }}>
+                          Revision: {row.revision > 0 ? "+" : ""}{fmtVal(row.revision)}
+                        </div>
+                      </div>
+                    );
+                  }}
+                />
+                <Line type="monotone" dataKey="firstPrint" name="First Print" stroke={C.textDim} strokeWidth={1.5} strokeDasharray="4 3" dot={false} />
+                <Line type="monotone" dataKey="current" name="Current" stroke={C.accent} strokeWidth={2} dot={false} />
+                <Legend wrapperStyle={{ fontSize: 11, fontFamily: "'Outfit', sans-serif" }} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
     </div>
+  );
+};
+
+// ─── SEGMENTED CONTROL ──────────────────────────────────────────────────────
+const SegmentedControl = ({ options, value, onChange }) => (
+  <div style={{
+    display: "inline-flex",
+    border: `1px solid ${C.border}`,
+    borderRadius: 6,
+    overflow: "hidden",
+  }}>
+    {options.map(opt => {
+      const isActive = opt.value === value;
+      return (
+        <button
+          key={opt.value}
+          onClick={() => onChange(opt.value)}
+          style={{
+            padding: "4px 10px",
+            background: isActive ? `${C.accent}20` : "transparent",
+            border: "none",
+            borderLeft: opt === options[0] ? "none" : `1px solid ${C.border}`,
+            color: isActive ? C.accent : C.textMuted,
+            fontFamily: "'JetBrains Mono', monospace",
+            fontSize: 11,
+            fontWeight: isActive ? 600 : 400,
+            cursor: "pointer",
+          }}
+        >
+          {opt.label}
+        </button>
+      );
+    })}
   </div>
 );
 
@@ -862,8 +769,448 @@ const ComingSoon = ({ nav }) => (
 );
 
 // ─── FED BALANCE SHEET DASHBOARD ────────────────────────────────────────────
-const FedDashboard = ({ liveData }) => {
-  const data = liveData || liquidityData;
+// FRED series behind each chart, for the revision viewer
+const FED_ASSET_SERIES = seriesById(["WALCL", "TREAST", "WSHOMCB"]);
+const FED_LIABILITY_SERIES = seriesById(["WRESBAL", "RRPONTSYD", "WTREGEN"]);
+const FED_BREAKDOWN_ASSET_SERIES = seriesById([
+  "WALCL", "TREAST", "WSHOMCB", "WSHOFADSL", "WUPSHO", "WUDSHO", "WORAL", "WLCFLL", "WLCFLPCL", "H41RESPPALDKNWW", "SWPT",
+]);
+const FED_BREAKDOWN_LIABILITY_SERIES = seriesById(["WALCL", "WLFN", "WLODLL", "WDTGAL", "WLRRAOL", "WLRRAFOIAL", "WLODL"]);
+const FED_RECONCILIATION_SERIES = [...FED_BREAKDOWN_ASSET_SERIES, ...FED_BREAKDOWN_LIABILITY_SERIES.slice(1)];
+
+// Stack colors for the balance sheet breakdown, keyed like FED_ASSET_ITEMS /
+// FED_LIABILITY_ITEMS
+const BREAKDOWN_COLORS = {
+  treasuries: C.treasuries,
+  mbs: C.mbs,
+  agency: "#a78bfa",
+  premiums: "#38bdf8",
+  repo: "#facc15",
+  discountWindow: "#fb923c",
+  btfp: C.red,
+  otherLoans: "#fda4af",
+  swaps: "#2dd4bf",
+  otherAssets: C.other,
+  currency: C.green,
+  reservesLevel: C.reserves,
+  tgaLevel: C.tga,
+  rrpOthers: C.rrp,
+  rrpForeign: "#fde68a",
+  otherDeposits: "#818cf8",
+  otherLiabilities: C.other,
+};
+
+// Share of total assets not covered by the itemized series, per side
+const reconciliationRows = (data) => data.map(d => ({
+  date: d.date,
+  total: d.total,
+  assetsItemized: d.assetsItemized,
+  liabilitiesItemized: d.liabilitiesItemized,
+  assetResidualPct: +(d.otherAssets / d.total * 100).toFixed(2),
+  liabilityResidualPct: +(d.otherLiabilities / d.total * 100).toFixed(2),
+}));
+
+const BreakdownChart = ({ title, subtitle, data, items, series, meta, tickInterval }) => (
+  <ChartCard
+    title={title}
+    subtitle={subtitle}
+    revisions={{ series }}
+    freshness={freshness(meta, series.map(s => s.id))}
+    height={280}
+  >
+    <ResponsiveContainer width="100%" height="100%">
+      <AreaChart data={data} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+        <XAxis
+          dataKey="date"
+          tickFormatter={formatTickLabel}
+          tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+          axisLine={{ stroke: C.border }}
+          tickLine={false}
+          interval={tickInterval}
+        />
+        <YAxis
+          tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+          axisLine={false}
+          tickLine={false}
+          tickFormatter={(v) => `$${v}T`}
+        />
+        <Tooltip content={<CustomTooltip format={fmtB} />} />
+        {items.map(item => (
+          <Area
+            key={item.key}
+            type="monotone"
+            dataKey={item.key}
+            stackId="1"
+            name={item.label}
+            fill={BREAKDOWN_COLORS[item.key]}
+            fillOpacity={item.residual ? 0.2 : 0.45}
+            stroke={BREAKDOWN_COLORS[item.key]}
+            strokeWidth={item.residual ? 0 : 1}
+          />
+        ))}
+        <Legend wrapperStyle={{ fontSize: 10, fontFamily: "'Outfit', sans-serif" }} />
+      </AreaChart>
+    </ResponsiveContainer>
+  </ChartCard>
+);
+
+// Change in bank reserves between two H.4.1 Wednesdays, split into its drivers (see
+// reserveChangeDrivers). Works on the weekly rows whatever the Fed tab's resolution.
+// The window is kept as offsets from the latest week so it survives refreshes; the
+// default is the latest week-over-week change.
+const fmtDeltaB = (v) => `${v < 0 ? "−" : "+"}$${Math.abs(v * 1000).toFixed(0)}B`;
+
+const ReservesWaterfall = ({ data, meta }) => {
+  const [range, setRange] = useState({ fromBack: 1, toBack: 0 });
+  const last = data.length - 1;
+  const toIdx = Math.max(1, last - Math.min(range.toBack, last - 1));
+  const fromIdx = Math.min(toIdx - 1, Math.max(0, last - range.fromBack));
+  const from = data[fromIdx];
+  const to = data[toIdx];
+  const { change, drivers } = reserveChangeDrivers(from, to);
+
+  // Floating bars: an invisible base up to where each step starts, then its size
+  let running = 0;
+  const steps = drivers.map(d => {
+    const start = running;
+    running += d.value;
+    return { label: d.label, base: Math.min(start, running) * 1000, size: Math.abs(d.value) * 1000, delta: d.value };
+  });
+  steps.push({ label: "Reserves Δ", base: Math.min(0, change) * 1000, size: Math.abs(change) * 1000, delta: change, total: true });
+
+  const setFrom = (idx) => setRange(r => ({ ...r, fromBack: last - Math.min(idx, toIdx - 1) }));
+  const setTo = (idx) => setRange(r => ({ ...r, toBack: last - Math.max(idx, fromIdx + 1) }));
+  const slider = (label, value, onChange) => (
+    <>
+      <span style={{ color: C.textMuted, fontSize: 11, fontFamily: "'JetBrains Mono', monospace", whiteSpace: "nowrap" }}>
+        {label}:
+      </span>
+      <input
+        type="range"
+        min={0}
+        max={last}
+        value={value}
+        onChange={(e) => onChange(parseInt(e.target.value))}
+        style={{ flex: 1, accentColor: C.accent, cursor: "pointer" }}
+      />
+      <span style={{ color: C.text, fontSize: 11, fontFamily: "'JetBrains Mono', monospace", whiteSpace: "nowrap", minWidth: 80 }}>
+        {formatDateLabel(data[value].date)}
+      </span>
+    </>
+  );
+
+  const weeks = toIdx - fromIdx;
+  return (
+    <ChartCard
+      title="What Moved Reserves"
+      subtitle={`${fmtDeltaB(change)} over ${weeks} week${weeks === 1 ? "" : "s"}: ${fmt(from.reservesLevel)} → ${fmt(to.reservesLevel)} — Billions USD`}
+      revisions={{ series: FED_RECONCILIATION_SERIES }}
+      freshness={freshness(meta, FED_RECONCILIATION_SERIES.map(s => s.id))}
+      actions={
+        <button
+          onClick={() => setRange({ fromBack: 1, toBack: 0 })}
+          title="Latest change"
+          style={{
+            padding: "4px 10px",
+            background: "transparent",
+            border: `1px solid ${C.border}`,
+            borderRadius: 6,
+            color: C.textMuted,
+            fontFamily: "'JetBrains Mono', monospace",
+            fontSize: 11,
+            cursor: "pointer",
+          }}
+        >
+          Latest
+        </button>
+      }
+      controls={
+        <div style={{ padding: "0 12px 8px", display: "flex", alignItems: "center", gap: 10 }}>
+          {slider("From", fromIdx, setFrom)}
+          {slider("To", toIdx, setTo)}
+        </div>
+      }
+      height={300}
+    >
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={steps} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+          <XAxis
+            dataKey="label"
+            tick={{ fill: C.textMuted, fontSize: 10, fontFamily: "'Outfit', sans-serif" }}
+            axisLine={{ stroke: C.border }}
+            tickLine={false}
+          />
+          <YAxis
+            tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+            axisLine={false}
+            tickLine={false}
+            tickFormatter={(v) => `$${v.toFixed(0)}B`}
+          />
+          <ReferenceLine y={0} stroke={C.borderLight} />
+          <Tooltip
+            cursor={{ fill: `${C.accent}08` }}
+            content={({ active, payload, label }) => {
+              if (!active || !payload?.length) return null;
+              const step = payload[0].payload;
+              return (
+                <div style={{
+                  background: C.surface,
+                  border: `1px solid ${C.borderLight}`,
+                  borderRadius: 8,
+                  padding: "10px 14px",
+                  fontFamily: "'JetBrains Mono', monospace",
+                  fontSize: 12,
+                }}>
+                  <div style={{ color: C.textDim, marginBottom: 6, fontFamily: "'Outfit', sans-serif", fontSize: 13 }}>{label}</div>
+                  <div style={{ color: step.total ? C.reserves : step.delta < 0 ? C.red : C.green, fontWeight: 600 }}>
+                    {fmtDeltaB(step.delta)}
+                  </div>
+                </div>
+              );
+            }}
+          />
+          <Bar dataKey="base" stackId="1" fill="transparent" isAnimationActive={false} />
+          <Bar dataKey="size" stackId="1" radius={[2, 2, 2, 2]}>
+            {steps.map((step, i) => (
+              <Cell key={i} fill={step.total ? C.reserves : step.delta < 0 ? C.red : C.green} opacity={step.total ? 0.8 : 0.6} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </ChartCard>
+  );
+};
+
+// QT monitor: monthly Treasury/MBS runoff against the FOMC caps in an editable
+// schedule (kept in localStorage), with MBS undershoots flagged and a projection of
+// when total assets reach a target size
+const inputStyle = {
+  padding: "5px 8px",
+  background: C.bg,
+  border: `1px solid ${C.border}`,
+  borderRadius: 6,
+  color: C.text,
+  fontFamily: "'JetBrains Mono', monospace",
+  fontSize: 11,
+  outline: "none",
+};
+
+const smallButtonStyle = {
+  padding: "4px 10px",
+  background: "transparent",
+  border: `1px solid ${C.border}`,
+  borderRadius: 6,
+  color: C.textMuted,
+  fontFamily: "'JetBrains Mono', monospace",
+  fontSize: 11,
+  cursor: "pointer",
+};
+
+const QTMonitor = ({ data, meta }) => {
+  const [schedule, setSchedule] = useStoredState("sigma.qtCapSchedule", QT_CAP_SCHEDULE, isCapSchedule);
+  const [target, setTarget] = useStoredState("sigma.qtTargetTrillions", 6);
+  const [editing, setEditing] = useState(false);
+
+  const runoff = useMemo(() => {
+    const firstCap = [...schedule].sort((a, b) => a.from.localeCompare(b.from))[0]?.from || "";
+    return qtRunoff(data, schedule, meta?.asOf || undefined).filter(r => r.month >= firstCap);
+  }, [data, schedule, meta]);
+  const complete = runoff.filter(r => !r.partial);
+  const last = complete[complete.length - 1];
+  const undershoots = complete.filter(r => r.mbsUndershoot);
+  const projection = projectBalanceSheet(runoff, Number(target));
+
+  const updateCap = (i, field, value) => {
+    if (field === "from" && !/^\d{4}-\d{2}$/.test(value)) return; // cleared month input
+    setSchedule(rows => rows.map((row, j) => j === i
+      ? { ...row, [field]: field === "from" || field === "note" ? value : Number(value) }
+      : row));
+  };
+  const addCap = () => setSchedule(rows => [
+    ...rows,
+    { from: last?.month || isoToday().slice(0, 7), treasuries: 0, mbs: 0, note: "" },
+  ]);
+  const removeCap = (i) => setSchedule(rows => rows.filter((_, j) => j !== i));
+
+  const labelStyle = {
+    fontFamily: "'Outfit', sans-serif",
+    fontSize: 11,
+    color: C.textMuted,
+    textTransform: "uppercase",
+    letterSpacing: "0.08em",
+    marginBottom: 6,
+  };
+
+  return (
+    <>
+      <ChartCard
+        title="QT Runoff vs. Caps"
+        subtitle="Monthly decline in Treasury and MBS holdings against FOMC caps — Billions USD; red MBS bars undershot their cap"
+        revisions={{ series: FED_ASSET_SERIES.slice(1) }}
+        freshness={freshness(meta, ["TREAST", "WSHOMCB"])}
+        actions={<button onClick={() => setEditing(e => !e)} style={smallButtonStyle}>{editing ? "Done" : "Edit Caps"}</button>}
+        height={280}
+      >
+        {runoff.length === 0 ? (
+          <div style={{ color: C.textMuted, fontFamily: "'Outfit', sans-serif", fontSize: 13, padding: 20 }}>
+            No months in range of the cap schedule.
+          </div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={runoff} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+              <XAxis
+                dataKey="month"
+                tickFormatter={formatDateLabel}
+                tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+                axisLine={{ stroke: C.border }}
+                tickLine={false}
+                interval={Math.max(0, Math.ceil(runoff.length / 9) - 1)}
+              />
+              <YAxis
+                tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+                axisLine={false}
+                tickLine={false}
+                tickFormatter={(v) => `$${v}B`}
+              />
+              <ReferenceLine y={0} stroke={C.borderLight} />
+              <Tooltip
+                content={({ active, payload, label }) => {
+                  if (!active || !payload?.length) return null;
+                  const row = payload[0].payload;
+                  const line = (name, value, cap, color) => (
+                    <div style={{ color, fontWeight: 600, marginBottom: 2 }}>
+                      {name}: ${value.toFixed(1)}B{cap != null && <span style={{ color: C.textMuted, fontWeight: 400 }}> / cap ${cap}B</span>}
+                    </div>
+                  );
+                  return (
+                    <div style={{
+                      background: C.surface,
+                      border: `1px solid ${C.borderLight}`,
+                      borderRadius: 8,
+                      padding: "10px 14px",
+                      fontFamily: "'JetBrains Mono', monospace",
+                      fontSize: 12,
+                    }}>
+                      <div style={{ color: C.textDim, marginBottom: 6, fontFamily: "'Outfit', sans-serif", fontSize: 13 }}>
+                        {formatDateLabel(label)}{row.partial ? " (month to date)" : ""}
+                      </div>
+                      {line("Treasuries", row.treasuries, row.treasuryCap, C.treasuries)}
+                      {line("MBS", row.mbs, row.mbsCap, C.mbs)}
+                      {row.mbsUndershoot && (
+                        <div style={{ color: C.red, marginTop: 4 }}>
+                          MBS short of cap by ${(row.mbsCap - row.mbs).toFixed(1)}B
+                        </div>
+                      )}
+                    </div>
+                  );
+                }}
+              />
+              <Bar dataKey="treasuries" name="Treasury Runoff" fill={C.treasuries} opacity={0.6} />
+              <Bar dataKey="mbs" name="MBS Runoff" fill={C.mbs} opacity={0.6}>
+                {runoff.map((r, i) => (
+                  <Cell key={i} fill={r.mbsUndershoot ? C.red : C.mbs} opacity={r.partial ? 0.3 : 0.6} />
+                ))}
+              </Bar>
+              <Line type="stepAfter" dataKey="treasuryCap" name="Treasury Cap" stroke={C.treasuries} strokeWidth={2} strokeDasharray="4 3" dot={false} />
+              <Line type="stepAfter" dataKey="mbsCap" name="MBS Cap" stroke={C.mbs} strokeWidth={2} strokeDasharray="4 3" dot={false} />
+              <Legend wrapperStyle={{ fontSize: 10, fontFamily: "'Outfit', sans-serif" }} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        )}
+      </ChartCard>
+
+      {editing && (
+        <div style={{
+          background: C.surface,
+          border: `1px solid ${C.border}`,
+          borderRadius: 12,
+          padding: "16px 20px",
+          marginBottom: 20,
+        }}>
+          <div style={labelStyle}>Cap Schedule ($B / month, in force from the month given)</div>
+          {schedule.map((row, i) => (
+            <div key={i} style={{ display: "flex", gap: 8, marginBottom: 6, alignItems: "center" }}>
+              <input type="month" value={row.from} onChange={e => updateCap(i, "from", e.target.value)} style={inputStyle} />
+              <input type="number" min={0} step={2.5} value={row.treasuries} onChange={e => updateCap(i, "treasuries", e.target.value)} title="Treasury cap" style={{ ...inputStyle, width: 70 }} />
+              <input type="number" min={0} step={2.5} value={row.mbs} onChange={e => updateCap(i, "mbs", e.target.value)} title="MBS cap" style={{ ...inputStyle, width: 70 }} />
+              <input type="text" value={row.note || ""} onChange={e => updateCap(i, "note", e.target.value)} placeholder="Note" style={{ ...inputStyle, flex: 1 }} />
+              <button onClick={() => removeCap(i)} title="Remove" style={smallButtonStyle}>✕</button>
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+            <button onClick={addCap} style={smallButtonStyle}>+ Add Change</button>
+            <button onClick={() => setSchedule(QT_CAP_SCHEDULE)} style={smallButtonStyle}>Reset to FOMC Schedule</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 14, marginBottom: 22, flexWrap: "wrap" }}>
+        <StatCard
+          small
+          label="Treasury Runoff"
+          value={last ? `$${last.treasuries.toFixed(1)}B` : "—"}
+          sub={last ? `${formatDateLabel(last.month)} · cap ${last.treasuryCap != null ? `$${last.treasuryCap}B` : "none"}` : "no complete month"}
+          color={C.treasuries}
+        />
+        <StatCard
+          small
+          label="MBS Runoff"
+          value={last ? `$${last.mbs.toFixed(1)}B` : "—"}
+          sub={last ? `${formatDateLabel(last.month)} · cap ${last.mbsCap != null ? `$${last.mbsCap}B` : "none"}` : "no complete month"}
+          color={last?.mbsUndershoot ? C.red : C.mbs}
+        />
+        <StatCard
+          small
+          label="MBS Undershoots"
+          value={`${undershoots.length} / ${complete.filter(r => r.mbsCap > 0).length}`}
+          sub="months below the MBS cap"
+          color={undershoots.length ? C.red : C.green}
+        />
+        <div style={{
+          background: C.surface,
+          border: `1px solid ${C.border}`,
+          borderRadius: 10,
+          padding: "14px 16px",
+          flex: 1,
+          minWidth: 220,
+        }}>
+          <div style={labelStyle}>Projected Size Target</div>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ color: C.textMuted, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>$</span>
+            <input
+              type="number"
+              min={0}
+              step={0.1}
+              value={target}
+              onChange={e => setTarget(e.target.value)}
+              style={{ ...inputStyle, width: 70, fontSize: 13 }}
+            />
+            <span style={{ color: C.textMuted, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>T →</span>
+            <span style={{ color: C.accent, fontFamily: "'JetBrains Mono', monospace", fontSize: 18, fontWeight: 700 }}>
+              {projection?.reached ? "Reached" : projection ? formatDateLabel(projection.month) : "—"}
+            </span>
+          </div>
+          <div style={{ fontFamily: "'Outfit', sans-serif", fontSize: 11, color: C.textMuted, marginTop: 6 }}>
+            {projection?.reached
+              ? "Total assets are already at or below target"
+              : projection
+                ? `${projection.months} months at the 3-month pace of $${projection.pace}B/mo`
+                : "Holdings are not running off"}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const FedDashboard = ({ liveData, meta, resolution, onResolutionChange }) => {
+  const data = liveData?.rows || liquidityData;
+  // ~9 ticks on the main chart and ~6 on the half-width charts at any resolution
+  const mainTickInterval = Math.max(0, Math.ceil(data.length / 9) - 1);
+  const smallTickInterval = Math.max(0, Math.ceil(data.length / 6) - 1);
   const latest = data[data.length - 1];
   const prev = data[data.length - 2];
   const peak = data.reduce((max, d) => d.total > max.total ? d : max);
@@ -882,6 +1229,10 @@ const FedDashboard = ({ liveData }) => {
     : `from ${formatDateLabel(trough.date)} trough`;
   const qColor = isQT ? C.red : C.green;
 
+  // The illustrative data has no H.4.1 detail, so the breakdown needs live data
+  const hasBreakdown = Boolean(liveData) && latest.currency != null;
+  const reconciliation = useMemo(() => hasBreakdown ? reconciliationRows(data) : [], [hasBreakdown, data]);
+
   return (
     <div>
       {/* Key Metrics Row */}
@@ -896,6 +1247,7 @@ const FedDashboard = ({ liveData }) => {
           value={fmt(latest.total)}
           change={pctChange(latest.total, prev.total)}
           sub={`vs ${formatDateLabel(prev.date)} reading`}
+          freshness={freshness(meta, ["WALCL"])}
         />
         <StatCard
           label="Net Liquidity"
@@ -903,6 +1255,7 @@ const FedDashboard = ({ liveData }) => {
           change={pctChange(latest.netLiquidity, prev.netLiquidity)}
           sub="(Assets − RRP − TGA)"
           color={C.netLiq}
+          freshness={freshness(meta, ["WALCL", "RRPONTSYD", "WTREGEN"])}
         />
         <StatCard
           label={qLabel}
@@ -916,6 +1269,7 @@ const FedDashboard = ({ liveData }) => {
           change={pctChange(latest.rrp, prev.rrp)}
           sub={`peak: ${fmt(peakRRP.rrp)} (${formatDateLabel(peakRRP.date)})`}
           color={C.rrp}
+          freshness={freshness(meta, ["RRPONTSYD"])}
         />
         <StatCard
           label="Bank Reserves"
@@ -923,13 +1277,23 @@ const FedDashboard = ({ liveData }) => {
           change={pctChange(latest.reserves, prev.reserves)}
           sub="Balances at the Fed"
           color={C.reserves}
+          freshness={freshness(meta, ["WRESBAL"])}
         />
       </div>
 
       {/* Main Balance Sheet Chart */}
       <ChartCard
         title="Federal Reserve Total Assets"
-        subtitle="Composition: Treasuries, MBS, Other — Trillions USD"
+        revisions={{ series: FED_ASSET_SERIES }}
+        freshness={freshness(meta, FED_ASSET_SERIES.map(s => s.id))}
+        subtitle={`Composition: Treasuries, MBS, Other — Trillions USD${liveData ? "" : " (illustrative, monthly)"}`}
+        actions={
+          <SegmentedControl
+            options={Object.entries(FED_RESOLUTIONS).map(([value, r]) => ({ value, label: r.label }))}
+            value={resolution}
+            onChange={onResolutionChange}
+          />
+        }
         height={340}
       >
         <ResponsiveContainer width="100%" height="100%">
@@ -951,11 +1315,11 @@ const FedDashboard = ({ liveData }) => {
             <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
             <XAxis
               dataKey="date"
-              tickFormatter={formatDateLabel}
+              tickFormatter={formatTickLabel}
               tick={{ fill: C.textMuted, fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
               axisLine={{ stroke: C.border }}
               tickLine={false}
-              interval={3}
+              interval={mainTickInterval}
             />
             <YAxis
               tick={{ fill: C.textMuted, fontSize: 10, fontFamily: "'JetBrains Mono', monospace" }}
@@ -977,6 +1341,8 @@ const FedDashboard = ({ liveData }) => {
         {/* Reverse Repo & TGA */}
         <ChartCard
           title="Reserves, Reverse Repo & TGA"
+          revisions={{ series: FED_LIABILITY_SERIES }}
+          freshness={freshness(meta, FED_LIABILITY_SERIES.map(s => s.id))}
           subtitle="Fed liability-side balances — Trillions USD"
           height={240}
         >
@@ -985,11 +1351,11 @@ const FedDashboard = ({ liveData }) => {
               <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
               <XAxis
                 dataKey="date"
-                tickFormatter={formatDateLabel}
+                tickFormatter={formatTickLabel}
                 tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
                 axisLine={{ stroke: C.border }}
                 tickLine={false}
-                interval={5}
+                interval={smallTickInterval}
               />
               <YAxis
                 tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
@@ -1014,6 +1380,8 @@ const FedDashboard = ({ liveData }) => {
         {/* Net Liquidity */}
         <ChartCard
           title="Net Liquidity Proxy"
+          revisions={{ series: [FED_ASSET_SERIES[0], ...FED_LIABILITY_SERIES.slice(1)] }}
+          freshness={freshness(meta, ["WALCL", "RRPONTSYD", "WTREGEN"])}
           subtitle="Total Assets − RRP − TGA"
           height={240}
         >
@@ -1028,11 +1396,11 @@ const FedDashboard = ({ liveData }) => {
               <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
               <XAxis
                 dataKey="date"
-                tickFormatter={formatDateLabel}
+                tickFormatter={formatTickLabel}
                 tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
                 axisLine={{ stroke: C.border }}
                 tickLine={false}
-                interval={5}
+                interval={smallTickInterval}
               />
               <YAxis
                 tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
@@ -1048,6 +1416,107 @@ const FedDashboard = ({ liveData }) => {
         </ChartCard>
       </div>
 
+      {/* QT runoff pace against the caps, from the weekly rows so it doesn't move with
+          the resolution toggle */}
+      {liveData && <QTMonitor data={liveData.weekly} meta={meta} />}
+
+      {/* Full H.4.1 breakdown: both sides of the balance sheet, and the check that
+          they add up to total assets */}
+      {hasBreakdown && (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20 }}>
+            <BreakdownChart
+              title="Assets Breakdown"
+              subtitle="H.4.1 Wednesday levels — Trillions USD"
+              data={data}
+              items={FED_ASSET_ITEMS}
+              series={FED_BREAKDOWN_ASSET_SERIES}
+              meta={meta}
+              tickInterval={smallTickInterval}
+            />
+            <BreakdownChart
+              title="Liabilities & Capital Breakdown"
+              subtitle="H.4.1 Wednesday levels — Trillions USD"
+              data={data}
+              items={FED_LIABILITY_ITEMS}
+              series={FED_BREAKDOWN_LIABILITY_SERIES}
+              meta={meta}
+              tickInterval={smallTickInterval}
+            />
+          </div>
+
+          <ChartCard
+            title="Balance Sheet Reconciliation"
+            subtitle="Itemized assets and liabilities vs. total assets (WALCL); bars: unitemized share of each side"
+            revisions={{ series: FED_RECONCILIATION_SERIES }}
+            freshness={freshness(meta, FED_RECONCILIATION_SERIES.map(s => s.id))}
+            height={260}
+          >
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={reconciliation} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+                <XAxis
+                  dataKey="date"
+                  tickFormatter={formatTickLabel}
+                  tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+                  axisLine={{ stroke: C.border }}
+                  tickLine={false}
+                  interval={mainTickInterval}
+                />
+                <YAxis
+                  yAxisId="left"
+                  tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+                  axisLine={false}
+                  tickLine={false}
+                  tickFormatter={(v) => `$${v}T`}
+                  domain={["dataMin - 0.3", "dataMax + 0.3"]}
+                />
+                <YAxis
+                  yAxisId="right"
+                  orientation="right"
+                  tick={{ fill: C.textMuted, fontSize: 9, fontFamily: "'JetBrains Mono', monospace" }}
+                  axisLine={false}
+                  tickLine={false}
+                  tickFormatter={(v) => `${v}%`}
+                />
+                <Tooltip
+                  content={({ active, payload, label }) => {
+                    if (!active || !payload?.length) return null;
+                    return (
+                      <div style={{
+                        background: C.surface,
+                        border: `1px solid ${C.borderLight}`,
+                        borderRadius: 8,
+                        padding: "10px 14px",
+                        fontFamily: "'JetBrains Mono', monospace",
+                        fontSize: 12,
+                      }}>
+                        <div style={{ color: C.textDim, marginBottom: 6, fontFamily: "'Outfit', sans-serif", fontSize: 13 }}>
+                          {formatDateLabel(label)}
+                        </div>
+                        {payload.map((p, i) => (
+                          <div key={i} style={{ color: p.color, fontWeight: 600, marginBottom: 2 }}>
+                            {p.name}: {p.dataKey.endsWith("Pct") ? `${p.value.toFixed(2)}%` : fmt(p.value, 3)}
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  }}
+                />
+                <Bar yAxisId="right" dataKey="assetResidualPct" name="Unitemized Assets" fill={C.treasuries} opacity={0.3} />
+                <Bar yAxisId="right" dataKey="liabilityResidualPct" name="Unitemized Liabilities" fill={C.reserves} opacity={0.3} />
+                <Line yAxisId="left" type="monotone" dataKey="total" name="Total Assets" stroke={C.text} strokeWidth={2} dot={false} />
+                <Line yAxisId="left" type="monotone" dataKey="assetsItemized" name="Itemized Assets" stroke={C.treasuries} strokeWidth={1.5} strokeDasharray="4 3" dot={false} />
+                <Line yAxisId="left" type="monotone" dataKey="liabilitiesItemized" name="Itemized Liabilities" stroke={C.reserves} strokeWidth={1.5} strokeDasharray="4 3" dot={false} />
+                <Legend wrapperStyle={{ fontSize: 10, fontFamily: "'Outfit', sans-serif" }} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          {liveData.weekly.length > 1 && <ReservesWaterfall data={liveData.weekly} meta={meta} />}
+        </>
+      )}
+
       {/* Context Strip */}
       <div style={{
         marginTop: 10,
@@ -1152,7 +1621,7 @@ const FY_COLORS = {
 };
 
 // ─── FISCAL DASHBOARD ───────────────────────────────────────────────────────
-const FiscalDashboard = ({ liveDebt, liveMTS }) => {
+const FiscalDashboard = ({ liveDebt, liveMTS, debtMeta, mtsMeta }) => {
   const debtChartData = liveDebt || debtData;
   const monthlyData = liveMTS?.monthly || monthlyFiscalData;
   const fyData = liveMTS?.fyDeficit || fyDeficitData;
@@ -1200,12 +1669,14 @@ const FiscalDashboard = ({ liveDebt, liveMTS }) => {
           value={`$${latestDebt.total}T`}
           change={pctChange(latestDebt.total, prevDebt.total)}
           sub={`vs ${formatDateLabel(prevDebt.date)} (${formatDateLabel(latestDebt.date)} data)`}
+          freshness={freshness(debtMeta)}
         />
         <StatCard
           label={`${currentFYKey.replace("fy", "FY")} YTD Deficit`}
           value={latestDeficit[currentFYKey] != null ? `−$${fmtComma(Math.abs(latestDeficit[currentFYKey]))}B` : "—"}
           sub={latestDeficit.month ? `through ${latestDeficit.month}${priorYearSameMonth != null ? ` (${priorFYKey.replace("fy", "FY")}: −$${fmtComma(Math.abs(priorYearSameMonth))}B)` : ""}` : ""}
           color={C.red}
+          freshness={freshness(mtsMeta)}
         />
         <StatCard
           label="Debt Held by Public"
@@ -1213,6 +1684,7 @@ const FiscalDashboard = ({ liveDebt, liveMTS }) => {
           change={pctChange(latestDebt.public, prevDebt.public)}
           sub={`${((latestDebt.public / latestDebt.total) * 100).toFixed(0)}% of total`}
           color={C.accent}
+          freshness={freshness(debtMeta)}
         />
         <StatCard
           label="Est. Annual Interest"
@@ -1226,6 +1698,7 @@ const FiscalDashboard = ({ liveDebt, liveMTS }) => {
       <ChartCard
         title="Cumulative Deficit by Fiscal Year"
         subtitle="FY runs Oct–Sep — Billions USD (more negative = larger deficit)"
+        freshness={freshness(mtsMeta)}
         height={340}
       >
         <ResponsiveContainer width="100%" height="100%">
@@ -1302,6 +1775,7 @@ const FiscalDashboard = ({ liveDebt, liveMTS }) => {
         <ChartCard
           title="Monthly Revenue vs. Spending"
           subtitle={`Billions USD — showing ${monthlySliced.length} of ${monthlyWithDeficit.length} months`}
+          freshness={freshness(mtsMeta)}
           height={300}
         >
           <div style={{ padding: "0 12px 8px", display: "flex", alignItems: "center", gap: 10 }}>
@@ -1576,6 +2050,7 @@ const FiscalDashboard = ({ liveDebt, liveMTS }) => {
       <ChartCard
         title="Total Debt Outstanding"
         subtitle="Public debt vs. intragovernmental holdings — Trillions USD"
+        freshness={freshness(debtMeta)}
         height={280}
       >
         <ResponsiveContainer width="100%" height="100%">
@@ -1791,7 +2266,7 @@ sovereignCountries["Other"] = {
 const countryNames = Object.keys(sovereignCountries);
 
 // ─── SOVEREIGN HOLDINGS DASHBOARD ───────────────────────────────────────────
-const SovereignDashboard = ({ liveTIC }) => {
+const SovereignDashboard = ({ liveTIC, ticMeta }) => {
   // Use live data if available, otherwise fall back to hardcoded
   const dates = liveTIC?.dates || sovereignDates;
   const countries = liveTIC?.countries || sovereignCountries;
@@ -1861,6 +2336,7 @@ const SovereignDashboard = ({ liveTIC }) => {
           value={`$${(totalHoldings / 1000).toFixed(2)}T`}
           sub={`${cNames.length} countries, ${formatDateLabel(currentDate)} data`}
           color={C.accent}
+          freshness={freshness(ticMeta)}
         />
         <StatCard
           label="Net Change"
@@ -2113,6 +2589,7 @@ const SovereignDashboard = ({ liveTIC }) => {
       <ChartCard
         title="Top 5 Holders — Historical Trend"
         subtitle="Billions USD"
+        freshness={freshness(ticMeta)}
         height={280}
       >
         <ResponsiveContainer width="100%" height="100%">
@@ -2506,7 +2983,11 @@ const realYieldData = ratesTimeSeries.map((d, i) => ({
 }));
 
 // ─── YIELDS & RATES DASHBOARD ───────────────────────────────────────────────
-const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
+// FRED series behind each chart, for the revision viewer
+const RATES_SERIES = seriesById(["FEDFUNDS", "SOFR", "DGS2", "DGS10", "DGS30"]);
+const BREAKEVEN_SERIES = seriesById(["T5YIE", "T10YIE"]);
+
+const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve, ratesMeta, breakevenMeta, curveMeta }) => {
   const ratesData = liveRates || ratesTimeSeries;
   const beData = liveBreakevens || breakevenData;
 
@@ -2560,6 +3041,7 @@ const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
           change={prev.ffr ? ((latest.ffr - prev.ffr) * 100 / prev.ffr).toFixed(1) : null}
           sub="effective rate"
           color={C.rrp}
+          freshness={freshness(ratesMeta, ["FEDFUNDS"])}
         />
         <StatCard
           label="10Y Treasury"
@@ -2567,24 +3049,28 @@ const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
           change={prev.y10 ? ((latest.y10 - prev.y10) * 100 / prev.y10).toFixed(1) : null}
           sub="benchmark yield"
           color={C.accent}
+          freshness={freshness(ratesMeta, ["DGS10"])}
         />
         <StatCard
           label="2s10s Spread"
           value={`${latestSpread.spread2s10s != null ? (latestSpread.spread2s10s > 0 ? "+" : "") + latestSpread.spread2s10s : "—"}%`}
           sub={latestSpread.spread2s10s < 0 ? "INVERTED" : "positive (normal)"}
           color={latestSpread.spread2s10s < 0 ? C.red : C.green}
+          freshness={freshness(ratesMeta, ["DGS2", "DGS10"])}
         />
         <StatCard
           label="10Y Breakeven"
           value={`${latestBE.be10y ?? "—"}%`}
           sub="market-implied inflation"
           color="#f472b6"
+          freshness={freshness(breakevenMeta, ["T10YIE"])}
         />
         <StatCard
           label="10Y Real Yield"
           value={`${latestReal.real10y ?? "—"}%`}
           sub="(nominal − breakeven)"
           color={C.netLiq}
+          freshness={combineFreshness(freshness(ratesMeta, ["DGS10"]), freshness(breakevenMeta, ["T10YIE"]))}
         />
       </div>
 
@@ -2592,6 +3078,7 @@ const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
       <ChartCard
         title="Treasury Yield Curve"
         subtitle="Current vs. key historical snapshots — % yield by maturity"
+        freshness={freshness(curveMeta)}
         height={340}
       >
         <ResponsiveContainer width="100%" height="100%">
@@ -2665,6 +3152,8 @@ const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
         {/* Key Rates Over Time */}
         <ChartCard
           title="Key Policy & Benchmark Rates"
+          revisions={{ series: RATES_SERIES, start: "2022-01-01" }}
+          freshness={freshness(ratesMeta)}
           subtitle="Fed Funds, SOFR, 2Y, 10Y, 30Y"
           height={260}
         >
@@ -2723,6 +3212,8 @@ const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
         {/* Yield Curve Spreads */}
         <ChartCard
           title="Yield Curve Spreads"
+          revisions={{ series: [RATES_SERIES[2], RATES_SERIES[3], RATES_SERIES[0]], start: "2022-01-01" }}
+          freshness={freshness(ratesMeta, ["DGS2", "DGS10", "FEDFUNDS"])}
           subtitle="2s10s and 3m/10Y — key inversion signals"
           height={260}
         >
@@ -2782,6 +3273,8 @@ const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
         {/* Breakeven Inflation */}
         <ChartCard
           title="Breakeven Inflation Rates"
+          revisions={{ series: BREAKEVEN_SERIES, start: "2022-01-01" }}
+          freshness={freshness(breakevenMeta)}
           subtitle="Market-implied CPI expectations — TIPS spread"
           height={240}
         >
@@ -2848,6 +3341,8 @@ const YieldsDashboard = ({ liveRates, liveBreakevens, liveCurve }) => {
         {/* Real Yields */}
         <ChartCard
           title="10Y Real Yield"
+          revisions={{ series: [RATES_SERIES[3], BREAKEVEN_SERIES[1]], start: "2022-01-01" }}
+          freshness={combineFreshness(freshness(ratesMeta, ["DGS10"]), freshness(breakevenMeta, ["T10YIE"]))}
           subtitle="Nominal 10Y minus 10Y breakeven"
           height={240}
         >
@@ -3572,163 +4067,20 @@ const SocialSecurityDashboard = () => {
 };
 
 // ─── SOURCES & DATA DASHBOARD ───────────────────────────────────────────────
-const SOURCES = [
-  {
-    category: "Fed Balance Sheet",
-    sources: [
-      {
-        name: "Federal Reserve H.4.1 Release",
-        description: "Factors Affecting Reserve Balances — the primary weekly report of the Fed's balance sheet, including total assets, Treasury/MBS holdings, and liability-side detail.",
-        series: "WALCL, TREAST, WSHOMCB, WORAL",
-        frequency: "Weekly (Thursday 4:30pm ET)",
-        latestReport: "January 30, 2025",
-        url: "https://www.federalreserve.gov/releases/h41/current/",
-        apiSource: "FRED API",
-      },
-      {
-        name: "Reverse Repo Operations",
-        description: "Daily overnight reverse repo facility usage — shows how much cash is parked at the Fed by money market funds and other counterparties.",
-        series: "RRPONTSYD",
-        frequency: "Daily",
-        latestReport: "February 7, 2025",
-        url: "https://fred.stlouisfed.org/series/RRPONTSYD",
-        apiSource: "FRED API",
-      },
-      {
-        name: "Treasury General Account",
-        description: "The U.S. government's operating cash balance at the Fed. Drawdowns add liquidity to the system; rebuilds drain it.",
-        series: "WTREGEN",
-        frequency: "Weekly (Thursday)",
-        latestReport: "January 30, 2025",
-        url: "https://fred.stlouisfed.org/series/WTREGEN",
-        apiSource: "FRED API",
-      },
-      {
-        name: "Reserve Balances with Federal Reserve Banks",
-        description: "Total bank reserves held at the Fed, earning IORB. The key indicator of banking system liquidity.",
-        series: "WRESBAL",
-        frequency: "Weekly (Thursday)",
-        latestReport: "January 30, 2025",
-        url: "https://fred.stlouisfed.org/series/WRESBAL",
-        apiSource: "FRED API",
-      },
-    ],
-  },
-  {
-    category: "Fiscal & Deficit",
-    sources: [
-      {
-        name: "Monthly Treasury Statement (MTS)",
-        description: "The official monthly report of U.S. government receipts, outlays, and the resulting surplus or deficit. The primary source for fiscal year-to-date deficit tracking.",
-        series: "Revenue, Outlays, Deficit",
-        frequency: "Monthly (~8th business day)",
-        latestReport: "December 2024 (released Jan 13, 2025)",
-        url: "https://fiscaldata.treasury.gov/datasets/monthly-treasury-statement/",
-        apiSource: "Treasury FiscalData API",
-      },
-      {
-        name: "Debt to the Penny",
-        description: "Daily total public debt outstanding, broken into debt held by the public and intragovernmental holdings.",
-        series: "Total Public Debt Outstanding",
-        frequency: "Daily (1 business day lag)",
-        latestReport: "February 6, 2025",
-        url: "https://fiscaldata.treasury.gov/datasets/debt-to-the-penny/",
-        apiSource: "Treasury FiscalData API",
-      },
-      {
-        name: "Treasury Auction Results",
-        description: "Results of every Treasury security auction — bid-to-cover ratios, high yield, percentage to direct/indirect bidders.",
-        series: "Auction-level data",
-        frequency: "Per auction (multiple per week)",
-        latestReport: "Varies by security type",
-        url: "https://www.treasurydirect.gov/auctions/auction-query/results/",
-        apiSource: "TreasuryDirect API",
-      },
-    ],
-  },
-  {
-    category: "Sovereign Holdings",
-    sources: [
-      {
-        name: "TIC Major Foreign Holders of Treasury Securities",
-        description: "Monthly estimates of foreign country holdings of U.S. Treasury securities. The primary source for tracking sovereign buyer/seller behavior.",
-        series: "Country-level holdings",
-        frequency: "Monthly (~2 month lag)",
-        latestReport: "October 2024 (released Dec 18, 2024)",
-        url: "https://ticdata.treasury.gov/resource-center/data-chart-center/tic/Documents/mfh.txt",
-        apiSource: "TIC CSV / Web scrape",
-      },
-    ],
-  },
-  {
-    category: "Yields & Rates",
-    sources: [
-      {
-        name: "Treasury Yield Curve Rates",
-        description: "Daily par yield curve rates from 1-month through 30-year maturities. The foundation for yield curve analysis and 2s10s spread tracking.",
-        series: "DGS1MO through DGS30",
-        frequency: "Daily (market close)",
-        latestReport: "February 7, 2025",
-        url: "https://home.treasury.gov/resource-center/data-chart-center/interest-rates/",
-        apiSource: "FRED API",
-      },
-      {
-        name: "SOFR (Secured Overnight Financing Rate)",
-        description: "The benchmark overnight rate backed by Treasury repo transactions. Replaced LIBOR as the key reference rate for the financial system.",
-        series: "SOFR",
-        frequency: "Daily",
-        latestReport: "February 7, 2025",
-        url: "https://fred.stlouisfed.org/series/SOFR",
-        apiSource: "FRED API",
-      },
-      {
-        name: "Breakeven Inflation Rates",
-        description: "Difference between nominal Treasury yields and TIPS yields of the same maturity — the market's implied inflation expectation.",
-        series: "T5YIE, T10YIE",
-        frequency: "Daily",
-        latestReport: "February 7, 2025",
-        url: "https://fred.stlouisfed.org/series/T10YIE",
-        apiSource: "FRED API",
-      },
-    ],
-  },
-  {
-    category: "Social Security",
-    sources: [
-      {
-        name: "OASDI Trustees Annual Report",
-        description: "The definitive annual assessment of Social Security's financial status and 75-year projections. Includes trust fund balances, income/expenditure detail, and the projected depletion date.",
-        series: "Trust fund balance, cost rates, income rates",
-        frequency: "Annual (typically March–June)",
-        latestReport: "2024 Report (released May 6, 2024)",
-        url: "https://www.ssa.gov/oact/TR/",
-        apiSource: "SSA / Manual update",
-      },
-      {
-        name: "Social Security Beneficiary Statistics",
-        description: "Monthly and annual counts of OASDI beneficiaries by type (retired workers, dependents, survivors, disability), plus average benefit amounts.",
-        series: "Beneficiary count, avg monthly benefit",
-        frequency: "Monthly / Annual",
-        latestReport: "December 2024",
-        url: "https://www.ssa.gov/oact/STATS/OASDIbenies.html",
-        apiSource: "SSA",
-      },
-      {
-        name: "Covered Workers & Worker-to-Beneficiary Ratio",
-        description: "Number of workers paying into Social Security relative to the number collecting benefits — the fundamental demographic solvency metric.",
-        series: "Covered workers, dependency ratio",
-        frequency: "Annual",
-        latestReport: "2025 Trustees Report",
-        url: "https://www.ssa.gov/oact/STATS/table4a3.html",
-        apiSource: "SSA / FRED",
-      },
-    ],
-  },
-];
+// Generated from the data-source registry (src/data/registry.js)
+
+// Combined load status of the sources with the given ids
+const sourceStatus = (ids, loadingStatus) =>
+  ids.some(k => loadingStatus[k] === "live") ? "live"
+    : ids.some(k => ["loading", "cached", "stale"].includes(loadingStatus[k])) ? "loading"
+    : ids.some(k => loadingStatus[k] === "error") ? "error"
+    : "idle";
+
+const STATUS_COLORS = { live: C.green, loading: C.rrp, error: C.red, idle: C.textMuted };
 
-const SourcesDashboard = () => (
+const SourcesDashboard = ({ meta, loadingStatus }) => (
   <div>
-    {SOURCES.map((cat, ci) => (
+    {sourcesByCategory().map((cat, ci) => (
       <div key={ci} style={{ marginBottom: 28 }}>
         <div style={{
           fontFamily: "'Outfit', sans-serif",
@@ -3761,8 +4113,22 @@ const SourcesDashboard = () => (
           </span>
         </div>
         <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-          {cat.sources.map((src, si) => (
-            <div key={si} style={{
+          {cat.sources.map((src) => {
+            const provider = PROVIDERS[src.provider];
+            const m = meta[src.id];
+            const status = src.fetch ? sourceStatus([src.id], loadingStatus) : null;
+            const details = [
+              { label: "Frequency", value: src.frequency },
+              {
+                label: src.fetch ? "Latest Observation" : "Latest Report",
+                value: m?.lastObservation ? formatDateLabel(m.lastObservation) : src.latestReport || "—",
+              },
+              { label: "Used By", value: src.dashboards.map(id => NAV.find(n => n.id === id).label).join(", ") || "—" },
+              { label: "Integration", value: provider.integration, color: src.fetch ? C.green : C.textDim },
+              ...(status ? [{ label: "Status", value: status === "idle" ? "not loaded" : loadingStatus[src.id], color: STATUS_COLORS[status] }] : []),
+            ];
+            return (
+            <div key={src.id} style={{
               background: C.surface,
               border: `1px solid ${C.border}`,
               borderRadius: 10,
@@ -3824,13 +4190,8 @@ const SourcesDashboard = () => (
                 paddingTop: 10,
                 borderTop: `1px solid ${C.border}`,
               }}>
-                {[
-                  { label: "Series", value: src.series },
-                  { label: "Frequency", value: src.frequency },
-                  { label: "Latest Report", value: src.latestReport },
-                  { label: "Integration", value: src.apiSource },
-                ].map((meta, mi) => (
-                  <div key={mi}>
+                {details.map((d, di) => (
+                  <div key={di}>
                     <div style={{
                       fontFamily: "'Outfit', sans-serif",
                       fontSize: 9,
@@ -3839,20 +4200,47 @@ const SourcesDashboard = () => (
                       letterSpacing: "0.1em",
                       marginBottom: 2,
                     }}>
-                      {meta.label}
+                      {d.label}
                     </div>
                     <div style={{
                       fontFamily: "'JetBrains Mono', monospace",
                       fontSize: 11,
-                      color: meta.label === "Integration" ? C.green : C.textDim,
+                      color: d.color || C.textDim,
                     }}>
-                      {meta.value}
+                      {d.value}
                     </div>
                   </div>
                 ))}
               </div>
+
+              {/* Series: ID, units, cadence and (when loaded) last observation */}
+              <div style={{
+                marginTop: 10,
+                paddingTop: 10,
+                borderTop: `1px solid ${C.border}`,
+                display: "grid",
+                gridTemplateColumns: src.fetch ? "minmax(120px, auto) 1fr auto auto auto" : "1fr",
+                columnGap: 16,
+                rowGap: 4,
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 10,
+                color: C.textDim,
+              }}>
+                {src.series.map((s, si) => src.fetch ? [
+                  <span key={`${si}-id`} style={{ color: C.text }}>{s.id}</span>,
+                  <span key={`${si}-label`} style={{ fontFamily: "'Outfit', sans-serif", fontSize: 11 }}>{s.label}</span>,
+                  <span key={`${si}-units`}>{s.units}</span>,
+                  <span key={`${si}-cadence`}>{s.cadence}</span>,
+                  <span key={`${si}-last`} style={{ color: C.textMuted }}>
+                    {m?.series?.[s.id]?.lastObservation ? formatDateLabel(m.series[s.id].lastObservation) : ""}
+                  </span>,
+                ] : (
+                  <span key={si} style={{ fontFamily: "'Outfit', sans-serif", fontSize: 11 }}>{s.label}</span>
+                ))}
+              </div>
             </div>
-          ))}
+            );
+          })}
         </div>
       </div>
     ))}
@@ -3879,8 +4267,52 @@ const SourcesDashboard = () => (
 );
 
 // ─── MAIN APP ───────────────────────────────────────────────────────────────
+// ─── TIME MACHINE CONTROL ───────────────────────────────────────────────────
+// Global as-of date: every fetcher re-runs to show only what was published by then
+const AsOfControl = ({ value, onChange }) => (
+  <div style={{ display: "flex", alignItems: "center", gap: 6, marginRight: 8 }}>
+    <span style={{ color: value ? C.rrp : C.textMuted }}>{value ? "⏱ As of" : "As of"}</span>
+    <input
+      type="date"
+      value={value || ""}
+      min="2021-01-01"
+      max={isoToday()}
+      onChange={e => onChange(e.target.value || null)}
+      style={{
+        padding: "2px 6px",
+        background: C.bg,
+        border: `1px solid ${value ? C.rrp : C.border}`,
+        borderRadius: 6,
+        color: value ? C.text : C.textMuted,
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: 11,
+        colorScheme: "dark",
+      }}
+    />
+    {value && (
+      <button
+        onClick={() => onChange(null)}
+        title="Return to live data"
+        style={{
+          padding: "3px 8px",
+          background: "transparent",
+          border: `1px solid ${C.border}`,
+          borderRadius: 6,
+          color: C.textMuted,
+          fontFamily: "'Outfit', sans-serif",
+          fontSize: 11,
+          cursor: "pointer",
+        }}
+      >
+        ✕ Live
+      </button>
+    )}
+  </div>
+);
+
 // ─── SETTINGS PANEL ─────────────────────────────────────────────────────────
-const SettingsPanel = ({ apiKey, onSave, onClose }) => {
+// With a server-side key there is nothing to enter: the proxy already serves live FRED data
+const SettingsPanel = ({ apiKey, serverKey, onSave, onClose }) => {
   const [inputKey, setInputKey] = useState(apiKey || "");
   return (
     <div style={{
@@ -3918,10 +4350,17 @@ const SettingsPanel = ({ apiKey, onSave, onClose }) => {
           marginBottom: 20,
           lineHeight: 1.5,
         }}>
-          Connect to live data by entering your FRED API key. Free from{" "}
-          <span style={{ color: C.accent }}>fred.stlouisfed.org/docs/api/api_key.html</span>
+          {serverKey ? (
+            "Live FRED data is enabled by this deployment's server-side API key. No key is stored in or sent from your browser."
+          ) : (
+            <>
+              Connect to live data by entering your FRED API key. Free from{" "}
+              <span style={{ color: C.accent }}>fred.stlouisfed.org/docs/api/api_key.html</span>
+            </>
+          )}
         </div>
 
+        {!serverKey && <>
         <div style={{
           fontFamily: "'Outfit', sans-serif",
           fontSize: 11,
@@ -3951,6 +4390,7 @@ const SettingsPanel = ({ apiKey, onSave, onClose }) => {
             }}
           />
         </div>
+        </>}
 
         <div style={{
           fontFamily: "'Outfit', sans-serif",
@@ -3966,7 +4406,7 @@ const SettingsPanel = ({ apiKey, onSave, onClose }) => {
           Treasury FiscalData (debt data) requires no API key and will connect automatically.
           <br />
           <span style={{ color: C.accent, marginRight: 6 }}>ⓘ</span>
-          For deployment, set <span style={{ fontFamily: "'JetBrains Mono', monospace", color: C.textDim }}>VITE_FRED_API_KEY</span> in your .env file instead.
+          For deployment, set <span style={{ fontFamily: "'JetBrains Mono', monospace", color: C.textDim }}>FRED_API_KEY</span> on the server (or in .env.local for dev) so the key never reaches the browser.
         </div>
 
         <div style={{ display: "flex", gap: 10, justifyContent: "flex-end" }}>
@@ -3983,9 +4423,9 @@ const SettingsPanel = ({ apiKey, onSave, onClose }) => {
               cursor: "pointer",
             }}
           >
-            Cancel
+            {serverKey ? "Close" : "Cancel"}
           </button>
-          <button
+          {!serverKey && <button
             onClick={() => { onSave(inputKey.trim()); onClose(); }}
             style={{
               padding: "8px 18px",
@@ -4002,7 +4442,7 @@ const SettingsPanel = ({ apiKey, onSave, onClose }) => {
             disabled={!inputKey.trim()}
           >
             Connect
-          </button>
+          </button>}
         </div>
       </div>
     </div>
@@ -4012,28 +4452,49 @@ const SettingsPanel = ({ apiKey, onSave, onClose }) => {
 export default function App() {
   const [activeTab, setActiveTab] = useState("fed");
   const [fredKey, setFredKey] = useState(import.meta.env.VITE_FRED_API_KEY || "");
+  const [serverKey, setServerKey] = useState(null); // null until /api/fred/status answers
   const [showSettings, setShowSettings] = useState(false);
-  const { liveData, loadingStatus, errors, lastUpdated } = useDataFetcher(fredKey);
+  const [fedResolution, setFedResolution] = useState("m");
+  const [asOf, setAsOf] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchFredProxyStatus({ signal: controller.signal }).then(s => setServerKey(s.serverKey), () => {});
+    return () => controller.abort();
+  }, []);
+
+  // A server-side key wins, so the browser never sends a key of its own
+  const fredLive = serverKey === true || (serverKey === false && Boolean(fredKey));
+  const needsKey = serverKey === false && !fredKey;
+  const { liveData, meta, loadingStatus, errors, lastUpdated, overdue } = useDataFetcher(
+    { fredLive, fredApiKey: serverKey ? "" : fredKey }, fedResolution, asOf
+  );
 
   const dataStatusText = () => {
     const statuses = Object.values(loadingStatus);
-    if (!fredKey) return "Illustrative data · Connect API for live data";
+    if (needsKey) return "Illustrative data · Connect API for live data";
     if (statuses.length === 0) return "Connecting to data sources…";
     const live = statuses.filter(s => s === "live").length;
     const loading = statuses.filter(s => s === "loading").length;
+    const cached = statuses.filter(s => s === "cached").length;
+    const stale = statuses.filter(s => s === "stale").length;
     const errors = statuses.filter(s => s === "error").length;
     if (loading > 0) return `Loading data… (${live}/${statuses.length} sources)`;
-    if (errors > 0 && live > 0) return `${live} live · ${errors} using fallback data`;
+    if (cached > 0) return `Cached data · Refreshing ${cached} source${cached > 1 ? "s" : ""}…`;
+    if (stale > 0 && errors === 0) return `${live} live · ${stale} cached (refresh failed)`;
+    if (errors > 0 && live + stale > 0) return `${live + stale} live · ${errors} using fallback data`;
     if (errors > 0 && live === 0) return "Using illustrative data (API errors)";
+    if (asOf) return `Historical data · as published ${formatDateLabel(asOf)}`;
     if (lastUpdated) return `Live data · Updated ${lastUpdated.toLocaleTimeString()}`;
     return "Live data";
   };
 
   const statusColor = () => {
-    if (!fredKey) return C.textMuted;
+    if (needsKey) return C.textMuted;
     const statuses = Object.values(loadingStatus);
-    const loading = statuses.filter(s => s === "loading").length;
+    const loading = statuses.filter(s => s === "loading" || s === "cached").length;
     if (loading > 0) return C.rrp;
+    if (statuses.some(s => s === "stale")) return C.rrp;
     const errs = statuses.filter(s => s === "error").length;
     if (errs > 0 && statuses.filter(s => s === "live").length === 0) return C.red;
     if (errs > 0) return C.rrp;
@@ -4102,6 +4563,7 @@ export default function App() {
           alignItems: "center",
           gap: 8,
         }}>
+          <AsOfControl value={asOf} onChange={setAsOf} />
           <span style={{
             width: 7,
             height: 7,
@@ -4116,17 +4578,17 @@ export default function App() {
             style={{
               marginLeft: 8,
               padding: "3px 10px",
-              background: fredKey ? "transparent" : C.accent,
-              border: `1px solid ${fredKey ? C.border : C.accent}`,
+              background: needsKey ? C.accent : "transparent",
+              border: `1px solid ${needsKey ? C.accent : C.border}`,
               borderRadius: 6,
-              color: fredKey ? C.textMuted : C.bg,
+              color: needsKey ? C.bg : C.textMuted,
               fontFamily: "'Outfit', sans-serif",
               fontSize: 11,
-              fontWeight: fredKey ? 400 : 600,
+              fontWeight: needsKey ? 600 : 400,
               cursor: "pointer",
             }}
           >
-            {fredKey ? "⚙ Settings" : "⚙ Connect API"}
+            {needsKey ? "⚙ Connect API" : "⚙ Settings"}
           </button>
         </div>
       </header>
@@ -4134,6 +4596,7 @@ export default function App() {
       {showSettings && (
         <SettingsPanel
           apiKey={fredKey}
+          serverKey={serverKey}
           onSave={setFredKey}
           onClose={() => setShowSettings(false)}
         />
@@ -4224,19 +4687,14 @@ export default function App() {
             }}>
               Data Sources
             </div>
-            {[
-              { name: "FRED API", keys: ["fed", "rates", "breakevens", "yieldCurve"] },
-              { name: "Treasury FiscalData", keys: ["debt", "mts"] },
-              { name: "TIC Reports", keys: ["tic"] },
-              { name: "SSA", keys: [], alwaysLive: true },
-            ].map((s, i) => {
-              const status = s.alwaysLive ? "live"
-                : s.keys.length > 0
-                ? s.keys.some(k => loadingStatus[k] === "live") ? "live"
-                  : s.keys.some(k => loadingStatus[k] === "loading") ? "loading"
-                  : s.keys.some(k => loadingStatus[k] === "error") ? "error"
-                  : "idle"
-                : "idle";
+            {/* One row per provider behind a dashboard; static providers are bundled, so always live */}
+            {Object.entries(PROVIDERS)
+              .map(([id, p]) => ({ ...p, sources: DATA_SOURCES.filter(src => src.provider === id && src.dashboards.length > 0) }))
+              .filter(p => p.sources.length > 0)
+              .map((s, i) => {
+              const keys = s.sources.filter(src => src.fetch).map(src => src.id);
+              const status = s.static ? "live" : sourceStatus(keys, loadingStatus);
+              const late = keys.filter(k => overdue[k]);
               return (
               <div key={i} style={{
                 fontSize: 11,
@@ -4248,10 +4706,27 @@ export default function App() {
               }}>
                 <span style={{
                   width: 6, height: 6, borderRadius: 3,
-                  background: status === "live" ? C.green : status === "loading" ? C.rrp : status === "error" ? C.red : C.textMuted,
+                  background: STATUS_COLORS[status],
                   opacity: status === "idle" ? 0.4 : 1,
                 }} />
                 {s.name}
+                {late.length > 0 && (
+                  <span
+                    title={late.map(k => `${RELEASE_SCHEDULES[k].label} expected ${overdue[k].toLocaleString()} — not published yet`).join("\n")}
+                    style={{
+                      marginLeft: "auto",
+                      fontSize: 8,
+                      padding: "1px 5px",
+                      borderRadius: 4,
+                      background: `${C.rrp}20`,
+                      color: C.rrp,
+                      textTransform: "uppercase",
+                      letterSpacing: "0.05em",
+                    }}
+                  >
+                    Late
+                  </span>
+                )}
               </div>
               );
             })}
@@ -4344,7 +4819,7 @@ export default function App() {
           </div>
 
           {/* Dashboard Content */}
-          {fredKey && Object.keys(errors).length > 0 && (
+          {fredLive && Object.keys(errors).length > 0 && (
             <div style={{
               marginBottom: 16,
               padding: "12px 16px",
@@ -4355,21 +4830,48 @@ export default function App() {
               fontSize: 11,
             }}>
               <div style={{ color: C.red, fontWeight: 600, marginBottom: 6, fontFamily: "'Outfit', sans-serif", fontSize: 12 }}>
-                API Connection Errors (using fallback data)
+                API & Data Errors (using fallback data)
               </div>
-              {Object.entries(errors).map(([key, msg]) => (
+              {Object.entries(errors).map(([key, { message, schema }]) => (
                 <div key={key} style={{ color: C.textMuted, marginBottom: 2 }}>
-                  <span style={{ color: C.red }}>✗</span> {key}: {msg}
+                  <span style={{ color: C.red }}>✗</span> {key}:{" "}
+                  {schema && (
+                    <span
+                      title={`${schema.source} returned an unexpected shape at ${schema.field} (expected ${schema.expected})`}
+                      style={{
+                        fontSize: 9,
+                        padding: "1px 5px",
+                        marginRight: 6,
+                        borderRadius: 4,
+                        background: `${C.rrp}20`,
+                        color: C.rrp,
+                        textTransform: "uppercase",
+                        letterSpacing: "0.05em",
+                      }}
+                    >
+                      Schema
+                    </span>
+                  )}
+                  {message}
                 </div>
               ))}
             </div>
           )}
-          {activeTab === "fed" && <FedDashboard liveData={liveData.fed} />}
-          {activeTab === "fiscal" && <FiscalDashboard liveDebt={liveData.debt} liveMTS={liveData.mts} />}
-          {activeTab === "sovereign" && <SovereignDashboard liveTIC={liveData.tic} />}
-          {activeTab === "yields" && <YieldsDashboard liveRates={liveData.rates} liveBreakevens={liveData.breakevens} liveCurve={liveData.yieldCurve} />}
+          {activeTab === "fed" && <FedDashboard liveData={liveData.fed} meta={meta.fed} resolution={fedResolution} onResolutionChange={setFedResolution} />}
+          {activeTab === "fiscal" && <FiscalDashboard liveDebt={liveData.debt} liveMTS={liveData.mts} debtMeta={meta.debt} mtsMeta={meta.mts} />}
+          {activeTab === "sovereign" && <SovereignDashboard liveTIC={liveData.tic} ticMeta={meta.tic} />}
+          {activeTab === "yields" && (
+            <YieldsDashboard
+              liveRates={liveData.rates}
+              liveBreakevens={liveData.breakevens}
+              liveCurve={liveData.yieldCurve}
+              ratesMeta={meta.rates}
+              breakevenMeta={meta.breakevens}
+              curveMeta={meta.yieldCurve}
+            />
+          )}
           {activeTab === "socsec" && <SocialSecurityDashboard />}
-          {activeTab === "sources" && <SourcesDashboard />}
+          {activeTab === "sources" && <SourcesDashboard meta={meta} loadingStatus={loadingStatus} />}
           {!["fed","fiscal","sovereign","yields","socsec","sources"].includes(activeTab) && <ComingSoon nav={NAV.find(n => n.id === activeTab)} />}
         </main>
       </div>
@@ -0,0 +1,154 @@
+// ─── PERSISTENT RESPONSE CACHE ──────────────────────────────────────────────
+// Raw upstream payloads are kept in a storage backend (IndexedDB in the browser),
+// keyed by source, series/dataset ID, vintage and query params (the API key is never
+// part of the key). useDataFetcher paints from this cache first and then revalidates
+// against the network. Entries are { body, storedAt }.
+//
+// Keys vary with the as-of date, resolution and query window, so most entries are
+// never read again: both backends drop entries older than CACHE_MAX_AGE_DAYS and keep
+// at most CACHE_MAX_ENTRIES (oldest first out), pruning on every write.
+import { runtime } from "./runtime.js";
+
+const CACHE_DB_NAME = "sigma-terminal";
+const CACHE_DB_VERSION = 2; // 2: storedAt index for pruning
+const CACHE_STORE = "responses";
+const CACHE_MAX_AGE_DAYS = 30;
+const CACHE_MAX_ENTRIES = 500;
+
+const CACHE_MAX_AGE_MS = CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+const isExpired = (entry) => Date.now() - entry.storedAt > CACHE_MAX_AGE_MS;
+
+export class CacheMissError extends Error {
+  constructor(key) {
+    super(`cache miss: ${key}`);
+    this.name = "CacheMissError";
+  }
+}
+
+export function indexedDBStorage() {
+  let dbPromise = null;
+  const openDB = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        req.onupgradeneeded = (event) => {
+          const store = event.oldVersion < 1
+            ? req.result.createObjectStore(CACHE_STORE)
+            : req.transaction.objectStore(CACHE_STORE);
+          if (!store.indexNames.contains("storedAt")) store.createIndex("storedAt", "storedAt");
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          runtime.logger.warn("Cache: IndexedDB unavailable, continuing without persistence", req.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    async get(key) {
+      const db = await openDB();
+      if (!db) return null;
+      return new Promise((resolve) => {
+        const req = db.transaction(CACHE_STORE, "readonly").objectStore(CACHE_STORE).get(key);
+        req.onsuccess = () => resolve(req.result && !isExpired(req.result) ? req.result : null);
+        req.onerror = () => resolve(null);
+      });
+    },
+    async set(key, entry) {
+      const db = await openDB();
+      if (!db) return;
+      return new Promise((resolve) => {
+        const tx = db.transaction(CACHE_STORE, "readwrite");
+        const store = tx.objectStore(CACHE_STORE);
+        store.put(entry, key);
+        pruneStore(store);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => {
+          runtime.logger.warn(`Cache: failed to store ${key}`, tx.error);
+          resolve();
+        };
+      });
+    },
+  };
+}
+
+// Delete expired entries, then the oldest beyond CACHE_MAX_ENTRIES, walking the
+// storedAt index with key cursors so no payload is read
+function pruneStore(store) {
+  const byAge = store.index("storedAt");
+  byAge.openKeyCursor(IDBKeyRange.upperBound(Date.now() - CACHE_MAX_AGE_MS)).onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    store.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  store.count().onsuccess = (e) => {
+    let excess = e.target.result - CACHE_MAX_ENTRIES;
+    if (excess <= 0) return;
+    byAge.openKeyCursor().onsuccess = (ev) => {
+      const cursor = ev.target.result;
+      if (!cursor || excess-- <= 0) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  };
+}
+
+// Process-lifetime cache (Node, or browsers without IndexedDB). Map order is write
+// order, so the first entries are the oldest.
+export function memoryStorage() {
+  const entries = new Map();
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      return entry && !isExpired(entry) ? entry : null;
+    },
+    set: async (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      for (const [oldKey, oldEntry] of entries) {
+        if (entries.size <= CACHE_MAX_ENTRIES && !isExpired(oldEntry)) break;
+        entries.delete(oldKey);
+      }
+    },
+  };
+}
+
+const storage = () => {
+  if (!runtime.storage) runtime.storage = typeof indexedDB !== "undefined" ? indexedDBStorage() : memoryStorage();
+  return runtime.storage;
+};
+
+export const cacheGet = (key) => storage().get(key);
+export const cacheSet = (key, body) => storage().set(key, { body, storedAt: Date.now() });
+
+// e.g. "fred:WALCL@latest?file_type=json&frequency=m&observation_start=2020-01-01&..."
+export function cacheKey(source, id, params = "") {
+  const p = new URLSearchParams(params);
+  p.delete("api_key");
+  const vintage = p.get("realtime_start") || p.get("realtime_end")
+    ? `${p.get("realtime_start") || ""}~${p.get("realtime_end") || ""}`
+    : "latest";
+  p.sort();
+  return `${source}:${id}@${vintage}?${p}`;
+}
+
+// Resolve a raw upstream payload. With `cacheOnly` the network is never touched and a
+// miss throws CacheMissError; otherwise `load()` runs and its result is written back.
+// `validate` (see schemas.js) runs on either path, so a malformed payload is never
+// cached.
+export async function cachedRequest(key, load, { cacheOnly = false } = {}, validate = null) {
+  if (cacheOnly) {
+    const hit = await cacheGet(key);
+    if (!hit) throw new CacheMissError(key);
+    validate?.(hit.body);
+    return hit.body;
+  }
+  const body = await load();
+  validate?.(body);
+  await cacheSet(key, body);
+  return body;
+}
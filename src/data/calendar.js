@@ -0,0 +1,127 @@
+// ─── AS-OF ("TIME MACHINE") HELPERS ────────────────────────────────────────
+// Fetchers take opts.asOf (YYYY-MM-DD) to rebuild what had been published by that date.
+// FRED serves the vintage that was current on asOf. FiscalData and TIC keep no vintages,
+// so their records are dropped unless each release's usual lag puts them before asOf.
+export const PUBLICATION_LAG_DAYS = {
+  debt: 1,  // Debt to the Penny: next business day
+  mts: 12,  // MTS: ~8th business day of the following month
+};
+
+export const isoToday = () => new Date().toISOString().slice(0, 10);
+
+export const shiftDate = (iso, days) => {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// TIC data for month M ("YYYY-MM") comes out around the 18th of month M+2
+export const ticReleaseDate = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(Date.UTC(y, m + 1, 18)).toISOString().slice(0, 10);
+};
+
+// ─── RELEASE SCHEDULES ──────────────────────────────────────────────────────
+// When each source publishes, in New York time. `graceMinutes` covers the lag before
+// the new numbers show up on FRED/FiscalData/TIC. Exchange holidays are not modeled.
+//   weekly  — every `weekday` (0 = Sun)
+//   daily   — every business day
+//   monthly — the `businessDay`-th business day, or the first business day on/after `day`
+// `lagDays` is how far past two observation periods a series may run before it is
+// flagged stale (see isStale).
+export const RELEASE_SCHEDULES = {
+  fed: { label: "H.4.1", kind: "weekly", weekday: 4, at: [16, 30], graceMinutes: 20, lagDays: 3 },
+  rates: { label: "H.15 / DGS", kind: "daily", at: [16, 30], graceMinutes: 60, lagDays: 3 },
+  breakevens: { label: "Breakevens", kind: "daily", at: [16, 30], graceMinutes: 60, lagDays: 3 },
+  yieldCurve: { label: "DGS curve", kind: "daily", at: [16, 30], graceMinutes: 60, lagDays: 3 },
+  debt: { label: "Debt to the Penny", kind: "daily", at: [15, 0], graceMinutes: 60, lagDays: 3 },
+  mts: { label: "MTS", kind: "monthly", businessDay: 8, at: [14, 0], graceMinutes: 60, lagDays: 15 },
+  tic: { label: "TIC", kind: "monthly", day: 18, at: [16, 0], graceMinutes: 60, lagDays: 50 },
+};
+
+// UTC instant of a wall-clock time in New York (handles EST/EDT)
+function easternTime(y, m, d, hh, mm) {
+  const guess = new Date(Date.UTC(y, m, d, hh, mm));
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/New_York", hourCycle: "h23",
+    year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric",
+  }).formatToParts(guess);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const shownInNY = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"));
+  return new Date(guess.getTime() + (guess.getTime() - shownInNY));
+}
+
+function releaseDaysInMonth(schedule, y, m) {
+  const days = [];
+  const daysInMonth = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  let businessDay = 0;
+  for (let d = 1; d <= daysInMonth; d++) {
+    const weekday = new Date(Date.UTC(y, m, d)).getUTCDay();
+    const isBusiness = weekday !== 0 && weekday !== 6;
+    if (isBusiness) businessDay++;
+    if (schedule.kind === "weekly" && weekday === schedule.weekday) days.push(d);
+    else if (schedule.kind === "daily" && isBusiness) days.push(d);
+    else if (schedule.kind === "monthly" && isBusiness && days.length === 0 &&
+      (schedule.businessDay ? businessDay === schedule.businessDay : d >= schedule.day)) days.push(d);
+  }
+  return days;
+}
+
+// The most recent release at or before `now` and the next one after it
+export function releaseWindow(schedule, now = new Date()) {
+  const releases = [];
+  for (let offset = -1; offset <= 1; offset++) {
+    const first = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+    const y = first.getUTCFullYear();
+    const m = first.getUTCMonth();
+    releaseDaysInMonth(schedule, y, m).forEach(d => releases.push(easternTime(y, m, d, ...schedule.at)));
+  }
+  return {
+    last: releases.filter(r => r <= now).pop() || null,
+    next: releases.find(r => r > now) || null,
+  };
+}
+
+// ─── FRESHNESS METADATA ─────────────────────────────────────────────────────
+// Every fetcher resolves to { data, meta }. meta.series maps each upstream series (FRED
+// ID or dataset name) to its last observation date and observed cadence; fetchedAt is
+// null when the payload came from the persistent cache.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const obsTime = (date) => Date.parse(`${date.length === 7 ? `${date}-01` : date}T00:00:00Z`);
+
+// Last date and median spacing (days) of an ascending list of observation dates
+function seriesFreshness(dates) {
+  const recent = dates.slice(-11).map(obsTime);
+  const gaps = recent.slice(1).map((t, i) => (t - recent[i]) / DAY_MS).sort((a, b) => a - b);
+  return {
+    lastObservation: dates.length > 0 ? dates[dates.length - 1] : null,
+    cadenceDays: gaps.length > 0 ? Math.round(gaps[Math.floor(gaps.length / 2)]) : null,
+  };
+}
+
+// The reference instant for a fetch: the as-of date (end of day) or now
+const referenceTime = (asOf) => asOf ? new Date(`${asOf}T23:59:59Z`) : new Date();
+
+export function buildMeta(source, seriesDates, opts = {}) {
+  const series = Object.fromEntries(
+    Object.entries(seriesDates).map(([id, dates]) => [id, seriesFreshness(dates)])
+  );
+  const lasts = Object.values(series).map(s => s.lastObservation).filter(Boolean).sort();
+  const { next } = releaseWindow(RELEASE_SCHEDULES[source], referenceTime(opts.asOf));
+  return {
+    source,
+    asOf: opts.asOf || null,
+    fetchedAt: opts.cacheOnly ? null : new Date().toISOString(),
+    lastObservation: lasts.length > 0 ? lasts[lasts.length - 1] : null,
+    nextRelease: next ? next.toISOString() : null,
+    series,
+  };
+}
+
+// A series is stale once its last observation is more than two periods (dates mark the
+// start of monthly periods) plus the source's publication lag old
+export function isStale(source, { lastObservation, cadenceDays }, asOf = null) {
+  if (!lastObservation) return false;
+  const ageDays = (referenceTime(asOf) - obsTime(lastObservation)) / DAY_MS;
+  return ageDays > 2 * (cadenceDays || 1) + RELEASE_SCHEDULES[source].lagDays;
+}
@@ -0,0 +1,254 @@
+// ─── FED BALANCE SHEET FETCH ────────────────────────────────────────────────
+// Net liquidity mixes weekly H.4.1 levels with daily RRP, so every resolution is an
+// as-of join: weekly/monthly rows sit on the (last) H.4.1 Wednesday of the period with
+// RRP as of that day; daily rows follow the RRP calendar with H.4.1 carried forward.
+// Daily covers the two calendar years before the as-of date (or today).
+import { fetchFredMultiple, seriesMap, periodKey, alignSeries } from "./fred.js";
+import { isoToday, buildMeta } from "./calendar.js";
+
+export const FED_RESOLUTIONS = {
+  d: { label: "Daily", lookbackYears: 2, alignment: { resolution: "d", method: "asof", calendar: "rrp" } },
+  w: { label: "Weekly", startDate: "2020-01-01", alignment: { resolution: "w", method: "asof", calendar: "total" } },
+  m: { label: "Monthly", startDate: "2020-01-01", alignment: { resolution: "m", method: "asof", calendar: "total" } },
+};
+
+// FRED series behind the balance sheet rows; `key` is the row field before scaling.
+// The core series drive the headline charts (TGA and reserves as week averages); the
+// H.4.1 detail series are Wednesday levels, like WALCL, so the breakdown reconciles.
+export const FED_SERIES = [
+  { key: "total", id: "WALCL", label: "Total Assets", units: "$M", cadence: "weekly" },
+  { key: "treasuries", id: "TREAST", label: "Treasuries Held", units: "$M", cadence: "weekly" },
+  { key: "mbs", id: "WSHOMCB", label: "MBS Held", units: "$M", cadence: "weekly" },
+  { key: "rrp", id: "RRPONTSYD", label: "Overnight Reverse Repo", units: "$B", cadence: "daily" },
+  { key: "tga", id: "WTREGEN", label: "Treasury General Account", units: "$M", cadence: "weekly" },
+  { key: "reserves", id: "WRESBAL", label: "Reserve Balances", units: "$M", cadence: "weekly" },
+  // H.4.1 assets
+  { key: "agency", id: "WSHOFADSL", label: "Federal Agency Debt Held", units: "$M", cadence: "weekly" },
+  { key: "premiums", id: "WUPSHO", label: "Unamortized Premiums", units: "$M", cadence: "weekly" },
+  { key: "discounts", id: "WUDSHO", label: "Unamortized Discounts", units: "$M", cadence: "weekly" },
+  { key: "repo", id: "WORAL", label: "Repurchase Agreements", units: "$M", cadence: "weekly" },
+  { key: "loans", id: "WLCFLL", label: "Loans", units: "$M", cadence: "weekly" },
+  { key: "primaryCredit", id: "WLCFLPCL", label: "Primary Credit (Discount Window)", units: "$M", cadence: "weekly" },
+  { key: "btfp", id: "H41RESPPALDKNWW", label: "Bank Term Funding Program", units: "$M", cadence: "weekly" },
+  { key: "swaps", id: "SWPT", label: "Central Bank Liquidity Swaps", units: "$M", cadence: "weekly" },
+  // H.4.1 liabilities
+  { key: "currency", id: "WLFN", label: "Currency in Circulation (FR Notes)", units: "$M", cadence: "weekly" },
+  { key: "rrpForeign", id: "WLRRAFOIAL", label: "Reverse Repo: Foreign Official", units: "$M", cadence: "weekly" },
+  { key: "rrpOthers", id: "WLRRAOL", label: "Reverse Repo: Others", units: "$M", cadence: "weekly" },
+  { key: "tgaLevel", id: "WDTGAL", label: "Treasury General Account (Wednesday)", units: "$M", cadence: "weekly" },
+  { key: "reservesLevel", id: "WLODLL", label: "Reserve Balances (Wednesday)", units: "$M", cadence: "weekly" },
+  { key: "otherDeposits", id: "WLODL", label: "Other Deposits", units: "$M", cadence: "weekly" },
+];
+
+// Balance sheet breakdown rows, in stacking order. The last item on each side is the
+// residual against WALCL: on the asset side gold, SDRs, coin, float and other assets;
+// on the liability side foreign official deposits, other liabilities and capital.
+export const FED_ASSET_ITEMS = [
+  { key: "treasuries", label: "Treasuries" },
+  { key: "mbs", label: "MBS" },
+  { key: "agency", label: "Agency Debt" },
+  { key: "premiums", label: "Unamortized Premiums (net)" },
+  { key: "repo", label: "Repo" },
+  { key: "discountWindow", label: "Discount Window" },
+  { key: "btfp", label: "BTFP" },
+  { key: "otherLoans", label: "Other Loans" },
+  { key: "swaps", label: "Liquidity Swaps" },
+  { key: "otherAssets", label: "Other Assets", residual: true },
+];
+
+export const FED_LIABILITY_ITEMS = [
+  { key: "currency", label: "Currency" },
+  { key: "reservesLevel", label: "Reserves" },
+  { key: "tgaLevel", label: "TGA" },
+  { key: "rrpOthers", label: "RRP (Others)" },
+  { key: "rrpForeign", label: "RRP (Foreign Pool)" },
+  { key: "otherDeposits", label: "Other Deposits" },
+  { key: "otherLiabilities", label: "Other Liabilities & Capital", residual: true },
+];
+
+// data: { rows, weekly } — `rows` at the requested resolution, and `weekly` the H.4.1
+// Wednesday rows from the weekly start date whatever the resolution, for week-over-week
+// and monthly comparisons (daily rows carry H.4.1 forward and cover only the lookback,
+// monthly rows skip weeks). The fetch spans both windows; daily rows are trimmed after.
+export async function fetchFedData(resolution = "m", opts = {}) {
+  const { lookbackYears, alignment } = FED_RESOLUTIONS[resolution];
+  const startDate = FED_RESOLUTIONS[resolution].startDate ||
+    `${Number((opts.asOf || isoToday()).slice(0, 4)) - lookbackYears}-01-01`;
+  const weeklyStart = FED_RESOLUTIONS.w.startDate;
+  const fetchStart = startDate < weeklyStart ? startDate : weeklyStart;
+  const { rows, results, dates } = await fetchFredMultiple(seriesMap(FED_SERIES), fetchStart, alignment, opts);
+  const liquidity = toLiquidityRows(rows).filter(d => d.date >= startDate);
+  const weekly = resolution === "w" ? liquidity : toLiquidityRows(alignSeries(results, FED_RESOLUTIONS.w.alignment));
+  return { data: { rows: liquidity, weekly }, meta: buildMeta("fed", dates, opts) };
+}
+
+const round3 = (v) => +v.toFixed(3);
+
+// H.4.1 detail (FRED units, $M) → breakdown fields in trillions, each side closing to
+// total assets through its residual item. Series that didn't exist yet (BTFP before
+// March 2023) count as zero. Discounts are reported as negative values.
+function balanceSheetBreakdown(d, total, treasuries, mbs) {
+  const level = (key) => (d[key] || 0) / 1e6;
+  const loans = level("loans");
+  const discountWindow = level("primaryCredit");
+  const btfp = level("btfp");
+  const assets = {
+    treasuries,
+    mbs,
+    agency: level("agency"),
+    premiums: level("premiums") - Math.abs(level("discounts")),
+    repo: level("repo"),
+    discountWindow,
+    btfp,
+    otherLoans: Math.max(0, loans - discountWindow - btfp),
+    swaps: level("swaps"),
+  };
+  const liabilities = {
+    currency: level("currency"),
+    reservesLevel: level("reservesLevel"),
+    tgaLevel: level("tgaLevel"),
+    rrpOthers: level("rrpOthers"),
+    rrpForeign: level("rrpForeign"),
+    otherDeposits: level("otherDeposits"),
+  };
+  const sum = (items) => Object.values(items).reduce((s, v) => s + v, 0);
+  const assetsItemized = sum(assets);
+  const liabilitiesItemized = sum(liabilities);
+  const row = {};
+  Object.entries({ ...assets, ...liabilities }).forEach(([key, v]) => { row[key] = round3(v); });
+  return {
+    ...row,
+    otherAssets: round3(total - assetsItemized),
+    otherLiabilities: round3(total - liabilitiesItemized),
+    assetsItemized: round3(assetsItemized),
+    liabilitiesItemized: round3(liabilitiesItemized),
+  };
+}
+
+// Aligned H.4.1/RRP rows (FRED units) → trillions, with "other" assets, net liquidity
+// (total assets − RRP − TGA) and the full balance sheet breakdown (FED_ASSET_ITEMS /
+// FED_LIABILITY_ITEMS). Rows missing a core asset series are dropped.
+export function toLiquidityRows(rows) {
+  return rows
+    .filter(d => d.total && d.treasuries && d.mbs)
+    .map(d => {
+      // WALCL, TREAST, WSHOMCB, WTREGEN, WRESBAL are in millions
+      // RRPONTSYD is in billions
+      const total = d.total / 1e6;
+      const treasuries = d.treasuries / 1e6;
+      const mbs = d.mbs / 1e6;
+      const rrp = (d.rrp || 0) / 1e3;
+      const tga = (d.tga || 0) / 1e6;
+      const reserves = (d.reserves || 0) / 1e6;
+      const other = Math.max(0, total - treasuries - mbs);
+      return {
+        ...balanceSheetBreakdown(d, total, treasuries, mbs),
+        date: d.date,
+        total: +total.toFixed(3),
+        treasuries: +treasuries.toFixed(3),
+        mbs: +mbs.toFixed(3),
+        other: +other.toFixed(3),
+        rrp: +rrp.toFixed(3),
+        tga: +tga.toFixed(3),
+        reserves: +reserves.toFixed(3),
+        netLiquidity: +(total - rrp - tga).toFixed(3),
+      };
+    });
+}
+
+// Drivers of the change in reserve balances: every other balance sheet item moves
+// reserves one for one — assets add them (sign +1), liabilities drain them (−1).
+// SOMA holdings include unamortized premiums; lending covers repo, loans and swaps.
+export const RESERVE_DRIVERS = [
+  { key: "soma", label: "SOMA Holdings", sign: 1, items: ["treasuries", "mbs", "agency", "premiums"] },
+  { key: "lending", label: "Lending Facilities", sign: 1, items: ["repo", "discountWindow", "btfp", "otherLoans", "swaps"] },
+  { key: "tga", label: "TGA", sign: -1, items: ["tgaLevel"] },
+  { key: "rrp", label: "Reverse Repo", sign: -1, items: ["rrpOthers", "rrpForeign"] },
+  { key: "currency", label: "Currency", sign: -1, items: ["currency"] },
+];
+
+// Change in reserves (Wednesday level) between two breakdown rows, split into
+// RESERVE_DRIVERS plus "other" — the residual items on both sides — so the drivers
+// always sum to the change. Trillions, like the rows.
+export function reserveChangeDrivers(from, to) {
+  const delta = (key) => (to[key] || 0) - (from[key] || 0);
+  const drivers = RESERVE_DRIVERS.map(({ key, label, sign, items }) => ({
+    key,
+    label,
+    value: sign * items.reduce((sum, item) => sum + delta(item), 0),
+  }));
+  const change = delta("reservesLevel");
+  const explained = drivers.reduce((sum, d) => sum + d.value, 0);
+  return {
+    change: round3(change),
+    drivers: [...drivers, { key: "other", label: "Other Items", value: change - explained }]
+      .map(d => ({ ...d, value: round3(d.value) })),
+  };
+}
+
+// ─── QT RUNOFF ──────────────────────────────────────────────────────────────
+// FOMC monthly redemption caps, $B per month, each in force from `from` (YYYY-MM)
+// until the next entry. The app keeps a user-editable copy; this is the default.
+export const QT_CAP_SCHEDULE = [
+  { from: "2022-06", treasuries: 30, mbs: 17.5, note: "QT begins" },
+  { from: "2022-09", treasuries: 60, mbs: 35, note: "Caps phased up to full pace" },
+  { from: "2024-06", treasuries: 25, mbs: 35, note: "Treasury cap slowed" },
+  { from: "2025-04", treasuries: 5, mbs: 35, note: "Treasury cap slowed again" },
+  { from: "2025-12", treasuries: 0, mbs: 0, note: "Runoff ends; MBS paydowns reinvested in bills" },
+];
+
+// Whether `schedule` has the shape of QT_CAP_SCHEDULE, e.g. for a copy read back from
+// storage: an array of rows with a YYYY-MM `from` and numeric caps
+export const isCapSchedule = (schedule) =>
+  Array.isArray(schedule) && schedule.every(c =>
+    c && /^\d{4}-\d{2}$/.test(c.from) && Number.isFinite(c.treasuries) && Number.isFinite(c.mbs));
+
+export const capsForMonth = (schedule, month) =>
+  [...schedule].sort((a, b) => a.from.localeCompare(b.from)).findLast(c => c.from <= month) || null;
+
+// Monthly Treasury and MBS runoff ($B, positive = holdings fell) from the last
+// balance sheet row of each month, against the caps in force. A month with a positive
+// MBS cap and runoff below it is an undershoot: paydowns depend on mortgage
+// prepayments, so MBS usually runs off slower than its cap. The first month of `rows`
+// has nothing to compare against and is skipped; the month of `asOf` is still in
+// progress, so it is marked partial and never flagged.
+export function qtRunoff(rows, schedule = QT_CAP_SCHEDULE, asOf = isoToday()) {
+  const monthEnds = {};
+  rows.forEach(d => { monthEnds[periodKey(d.date, "m")] = d; });
+  const months = Object.entries(monthEnds).sort(([a], [b]) => a.localeCompare(b));
+  return months.slice(1).map(([month, d], i) => {
+    const prev = months[i][1];
+    const caps = capsForMonth(schedule, month);
+    const treasuries = +((prev.treasuries - d.treasuries) * 1000).toFixed(1);
+    const mbs = +((prev.mbs - d.mbs) * 1000).toFixed(1);
+    const partial = month >= asOf.slice(0, 7);
+    return {
+      month,
+      total: d.total,
+      treasuries,
+      mbs,
+      treasuryCap: caps ? caps.treasuries : null,
+      mbsCap: caps ? caps.mbs : null,
+      partial,
+      mbsUndershoot: Boolean(!partial && caps && caps.mbs > 0 && mbs < caps.mbs),
+    };
+  });
+}
+
+// When total assets reach `target` ($T) if runoff continues at its average pace over
+// the last `window` complete months. Returns { pace ($B/month), months, month (YYYY-MM) },
+// { reached: true } when already at or below target, or null when holdings are not
+// running off.
+export function projectBalanceSheet(runoff, target, window = 3) {
+  if (!runoff.length) return null;
+  const latest = runoff[runoff.length - 1];
+  if (latest.total <= target) return { reached: true };
+  const recent = runoff.filter(r => !r.partial).slice(-window);
+  if (!recent.length) return null;
+  const pace = recent.reduce((sum, r) => sum + r.treasuries + r.mbs, 0) / recent.length;
+  if (pace <= 0) return null;
+  const months = Math.ceil((latest.total - target) * 1000 / pace);
+  const [y, m] = latest.month.split("-").map(Number);
+  const end = new Date(Date.UTC(y, m - 1 + months, 1));
+  return { pace: +pace.toFixed(1), months, month: end.toISOString().slice(0, 7) };
+}
@@ -0,0 +1,236 @@
+// ─── FISCALDATA CLIENT ──────────────────────────────────────────────────────
+// Reads every page of a FiscalData query. `fields` selects columns, `filters` are
+// [field, operator, value] triples (eq, lt, lte, gt, gte, in) and `sort` lists fields,
+// "-" prefixed for descending; pages load in parallel, so the sort must order rows
+// uniquely or page boundaries shift between requests (rows duplicated or skipped).
+// Each page is cached and schema-checked on its own.
+// Resolves to { data, totalCount, totalPages }.
+import { runtime, apiUrl, FISCAL_PATH } from "./runtime.js";
+import { mapWithConcurrency } from "../../shared/concurrency.js";
+import { requestWithRetry } from "./request.js";
+import { cacheKey, cachedRequest } from "./cache.js";
+import { PUBLICATION_LAG_DAYS, shiftDate, buildMeta } from "./calendar.js";
+import {
+  SchemaError, validateShape, FISCAL_PAGE_SCHEMA, DEBT_TO_PENNY_SCHEMA, MTS_TABLE_1_SCHEMA,
+} from "./schemas.js";
+
+const FISCAL_PAGE_SIZE = 1000;
+const FISCAL_PAGE_CONCURRENCY = 3;
+
+function fiscalParams({ fields, filters = [], sort = [], pageSize = FISCAL_PAGE_SIZE }, page) {
+  const params = new URLSearchParams();
+  if (fields) params.set("fields", fields.join(","));
+  if (filters.length > 0) params.set("filter", filters.map(f => f.join(":")).join(","));
+  if (sort.length > 0) params.set("sort", sort.join(","));
+  params.set("page[number]", String(page));
+  params.set("page[size]", String(pageSize));
+  return params;
+}
+
+export async function fetchFiscalDataset(endpoint, { schema = {}, ...query } = {}, opts = {}) {
+  const dataset = endpoint.split("/").pop();
+  const pageSchema = { ...FISCAL_PAGE_SCHEMA, ...schema };
+  const fetchPage = (page) => {
+    const params = fiscalParams(query, page);
+    return cachedRequest(cacheKey("fiscal", dataset, params), async () => {
+      const res = await requestWithRetry(`${apiUrl(FISCAL_PATH)}/${endpoint}?${params}`, `FiscalData ${dataset} p${page}`, {
+        signal: opts.signal,
+        revalidate: opts.revalidate,
+      });
+      return res.json();
+    }, opts, (body) => validateShape(`FiscalData ${dataset}`, pageSchema, body));
+  };
+
+  const first = await fetchPage(1);
+  const totalCount = Number(first.meta["total-count"]);
+  const totalPages = Number(first.meta["total-pages"]);
+  // total-pages says how many follow, so the rest load in parallel; links.next is null
+  // when the first page is already the last
+  const remaining = first.links?.next === null ? [] : Array.from({ length: Math.max(0, totalPages - 1) }, (_, i) => i + 2);
+  const rest = await mapWithConcurrency(remaining, FISCAL_PAGE_CONCURRENCY, fetchPage);
+  const data = [first, ...rest].flatMap(page => page.data);
+  if (data.length !== totalCount) {
+    runtime.logger.warn(`FiscalData ${dataset}: received ${data.length} of ${totalCount} records (dataset changed while paging?)`);
+  }
+  return { data, totalCount, totalPages };
+}
+
+// ─── TREASURY FISCALDATA FETCH ──────────────────────────────────────────────
+// FiscalData fields read from each dataset; `key` is the output field they feed
+export const DEBT_SERIES = [
+  { key: "total", id: "tot_pub_debt_out_amt", label: "Total Public Debt Outstanding", units: "$", cadence: "daily" },
+  { key: "public", id: "debt_held_public_amt", label: "Debt Held by the Public", units: "$", cadence: "daily" },
+  { key: "intra", id: "intragov_hold_amt", label: "Intragovernmental Holdings", units: "$", cadence: "daily" },
+];
+
+export const MTS_SERIES = [
+  { key: "revenue", id: "current_month_gross_rcpt_amt", label: "Gross Receipts", units: "$", cadence: "monthly" },
+  { key: "spending", id: "current_month_gross_outly_amt", label: "Gross Outlays", units: "$", cadence: "monthly" },
+  { key: "deficit", id: "current_month_dfct_sur_amt", label: "Deficit / Surplus", units: "$", cadence: "monthly" },
+];
+
+export async function fetchDebtData(opts = {}) {
+  const filters = [["record_date", "gte", "2020-01-01"]];
+  if (opts.asOf) filters.push(["record_date", "lte", shiftDate(opts.asOf, -PUBLICATION_LAG_DAYS.debt)]);
+  const { data: records, totalCount } = await fetchFiscalDataset("v2/accounting/od/debt_to_penny", {
+    fields: ["record_date", ...DEBT_SERIES.map(s => s.id)],
+    filters,
+    sort: ["-record_date"],
+    schema: DEBT_TO_PENNY_SCHEMA,
+  }, opts);
+  // Group by month, take last reading per month
+  const byMonth = {};
+  records.forEach(d => {
+    const m = d.record_date.slice(0, 7);
+    byMonth[m] = {
+      date: m,
+      total: +(parseFloat(d.tot_pub_debt_out_amt) / 1e12).toFixed(2),
+      public: +(parseFloat(d.debt_held_public_amt) / 1e12).toFixed(2),
+      intra: +(parseFloat(d.intragov_hold_amt) / 1e12).toFixed(2),
+    };
+  });
+  const recordDates = records.map(d => d.record_date).sort();
+  return {
+    data: Object.values(byMonth).sort((a, b) => a.date.localeCompare(b.date)),
+    meta: { ...buildMeta("debt", { debt_to_penny: recordDates }, opts), totalRecords: totalCount },
+  };
+}
+
+// ─── MONTHLY TREASURY STATEMENT (Receipts & Outlays) ────────────────────────
+export async function fetchMTSData(opts = {}) {
+  // MTS Table 1 structure per record_date (one MTS report):
+  //   SL row: "FY 2024" header (null values)
+  //   MTH rows: Oct, Nov, Dec... (actual monthly data for that FY)
+  //   SL row: "Year-to-Date" (cumulative, skip)
+  //   SL row: "FY 2025" header
+  //   MTH rows: Oct, Nov... (current FY months)
+  //   SL row: "Year-to-Date"
+  // We want MTH rows only, using FY headers to assign fiscal years.
+
+  const filters = [["record_date", "gte", "2021-10-01"]];
+  if (opts.asOf) filters.push(["record_date", "lte", shiftDate(opts.asOf, -PUBLICATION_LAG_DAYS.mts)]);
+  const { data: records, totalCount } = await fetchFiscalDataset("v1/accounting/mts/mts_table_1", {
+    filters,
+    // ~50 rows share each record_date; src_line_nbr is unique within a report
+    sort: ["-record_date", "src_line_nbr"],
+    schema: MTS_TABLE_1_SCHEMA,
+  }, opts);
+
+  const parseAmt = (v) => {
+    if (v == null || v === "null" || v === "") return 0;
+    const n = parseFloat(v);
+    return isNaN(n) ? 0 : n;
+  };
+
+  const MONTH_MAP = {
+    october: 10, november: 11, december: 12,
+    january: 1, february: 2, march: 3,
+    april: 4, may: 5, june: 6,
+    july: 7, august: 8, september: 9,
+  };
+
+  // Group rows by record_date (each = one MTS report)
+  const byReport = {};
+  records.forEach(d => {
+    const rd = d.record_date;
+    if (!byReport[rd]) byReport[rd] = [];
+    byReport[rd].push(d);
+  });
+
+  // Extract monthly data with proper FY assignment
+  const monthlyMap = {}; // "YYYY-MM" → data (latest report wins)
+
+  Object.entries(byReport).forEach(([reportDate, rows]) => {
+    // Sort by line_code_nbr so FY headers come before their months
+    rows.sort((a, b) => parseInt(a.line_code_nbr) - parseInt(b.line_code_nbr));
+
+    let currentFY = null;
+    rows.forEach(row => {
+      // FY header rows (e.g. "FY 2024") establish which FY subsequent MTH rows belong to
+      if (row.record_type_cd === "SL" && /^FY \d{4}$/.test(row.classification_desc)) {
+        currentFY = parseInt(row.classification_desc.replace("FY ", ""));
+        return;
+      }
+
+      // Only process monthly data rows
+      if (row.record_type_cd !== "MTH" || !currentFY) return;
+
+      const monthName = row.classification_desc.toLowerCase();
+      const calMonth = MONTH_MAP[monthName];
+      if (!calMonth) return;
+
+      // FY starts in October: Oct–Dec = prior calendar year, Jan–Sep = FY year
+      const calYear = calMonth >= 10 ? currentFY - 1 : currentFY;
+      const dateKey = `${calYear}-${String(calMonth).padStart(2, "0")}`;
+
+      const rcpt = parseAmt(row.current_month_gross_rcpt_amt);
+      const outly = parseAmt(row.current_month_gross_outly_amt);
+      const dfct = parseAmt(row.current_month_dfct_sur_amt);
+
+      if (rcpt === 0 && outly === 0) return;
+
+      // Keep the version from the latest report date (most current revision)
+      if (!monthlyMap[dateKey] || reportDate > monthlyMap[dateKey].reportDate) {
+        monthlyMap[dateKey] = {
+          date: dateKey,
+          fy: currentFY,
+          calMonth,
+          revenue: +(rcpt / 1e9).toFixed(1),
+          spending: +(Math.abs(outly) / 1e9).toFixed(1),
+          deficit: +(-Math.abs(dfct) / 1e9).toFixed(1), // negative = deficit
+          reportDate,
+        };
+        // April has negative dfct (surplus) — preserve sign
+        if (dfct < 0) monthlyMap[dateKey].deficit = +(Math.abs(dfct) / 1e9).toFixed(1);
+      }
+    });
+  });
+
+  const monthly = Object.values(monthlyMap)
+    .filter(d => d.revenue > 0 && d.spending > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (monthly.length === 0) {
+    throw new SchemaError("FiscalData mts_table_1", "data[]", "MTH rows with receipts and outlays under an FY header", "none");
+  }
+
+  runtime.logger.log(`MTS: parsed ${monthly.length} months, ${monthly[0].date} → ${monthly[monthly.length - 1].date}`);
+
+  return {
+    data: { monthly, ...cumulativeDeficitByFY(monthly) },
+    meta: { ...buildMeta("mts", { mts_table_1: monthly.map(d => d.date) }, opts), totalRecords: totalCount },
+  };
+}
+
+// Running deficit through each fiscal-year month (Oct–Sep), one column per FY
+// ("fy2024": …); null where that FY has no report for the month yet.
+export function cumulativeDeficitByFY(monthly) {
+  const FY_MONTHS = ["Oct", "Nov", "Dec", "Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep"];
+  const fyMap = {};
+
+  monthly.forEach(d => {
+    const fyKey = `fy${d.fy}`;
+    if (!fyMap[fyKey]) fyMap[fyKey] = { months: [] };
+    const fyMonthIdx = d.calMonth >= 10 ? d.calMonth - 10 : d.calMonth + 2;
+    fyMap[fyKey].months.push({ idx: fyMonthIdx, deficit: d.deficit });
+  });
+
+  const fyDeficit = FY_MONTHS.map((month, idx) => {
+    const row = { month };
+    Object.entries(fyMap).forEach(([fyKey, fyData]) => {
+      const monthsUpTo = fyData.months
+        .filter(m => m.idx <= idx)
+        .sort((a, b) => a.idx - b.idx);
+      if (monthsUpTo.length > 0 && monthsUpTo[monthsUpTo.length - 1].idx === idx) {
+        let cumulative = 0;
+        monthsUpTo.forEach(m => cumulative += m.deficit);
+        row[fyKey] = +cumulative.toFixed(1);
+      } else {
+        row[fyKey] = null;
+      }
+    });
+    return row;
+  });
+
+  return { fyDeficit, fyKeys: Object.keys(fyMap).sort() };
+}
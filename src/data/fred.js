@@ -0,0 +1,235 @@
+// ─── FRED FETCH HELPERS ─────────────────────────────────────────────────────
+import { runtime, apiUrl, FRED_PATH } from "./runtime.js";
+import { mapWithConcurrency } from "../../shared/concurrency.js";
+import { requestWithRetry } from "./request.js";
+import { cacheKey, cachedRequest, cacheSet } from "./cache.js";
+import { validateShape, FRED_OBSERVATIONS_SCHEMA, FRED_BATCH_SCHEMA } from "./schemas.js";
+
+function fredParams(seriesId, startDate, frequency, opts) {
+  const params = new URLSearchParams({
+    series_id: seriesId,
+    file_type: "json",
+    observation_start: startDate,
+    sort_order: "asc",
+  });
+  // No key: the proxy injects its own (see fetchFredProxyStatus)
+  if (runtime.fredApiKey) params.set("api_key", runtime.fredApiKey);
+  if (frequency) params.set("frequency", frequency);
+  if (opts.endDate) params.set("observation_end", opts.endDate);
+  // Time machine: without an explicit real-time period, read the vintage current on asOf
+  const realtimeStart = opts.realtimeStart || opts.asOf;
+  const realtimeEnd = opts.realtimeEnd || opts.asOf;
+  if (realtimeStart) params.set("realtime_start", realtimeStart);
+  if (realtimeEnd) params.set("realtime_end", realtimeEnd);
+  return params;
+}
+
+// Vintage (ALFRED) queries: rows then carry the real-time period they were valid for
+const isVintageQuery = (opts) => Boolean(opts.realtimeStart || opts.realtimeEnd);
+
+const parseFredObservations = (data, vintage) => data.observations
+  .filter(o => o.value !== ".")
+  .map(o => vintage
+    ? { date: o.date, value: parseFloat(o.value), realtimeStart: o.realtime_start, realtimeEnd: o.realtime_end }
+    : { date: o.date, value: parseFloat(o.value) });
+
+export async function fetchFredSeries(seriesId, startDate = "2020-01-01", frequency = null, opts = {}) {
+  const params = fredParams(seriesId, startDate, frequency, opts);
+  const data = await cachedRequest(cacheKey("fred", seriesId, params), async () => {
+    const res = await requestWithRetry(`${apiUrl(FRED_PATH)}?${params}`, `FRED ${seriesId}`, {
+      signal: opts.signal,
+      revalidate: opts.revalidate,
+    });
+    return res.json();
+  }, opts, (body) => validateShape(`FRED ${seriesId}`, FRED_OBSERVATIONS_SCHEMA, body));
+  return parseFredObservations(data, isVintageQuery(opts));
+}
+
+// Many series in one round trip through /api/fred/batch. Each request is
+// { seriesId, startDate, frequency, opts } with fetchFredSeries's meaning (its opts are
+// merged over the shared `opts`). Results keep input order. Series the batch could not
+// load because of upstream 429/5xx fall back to the single-series retry path.
+const FRED_BATCH_MAX = 50; // MAX_BATCH_SIZE in api/fred/batch.js
+const FRED_FALLBACK_CONCURRENCY = 4;
+
+export async function fetchFredBatch(requests, opts = {}) {
+  const jobs = requests.map(r => {
+    const jobOpts = { ...opts, ...r.opts };
+    const params = fredParams(r.seriesId, r.startDate || "2020-01-01", r.frequency, jobOpts);
+    return { ...r, jobOpts, params, key: cacheKey("fred", r.seriesId, params) };
+  });
+  const single = (job) => fetchFredSeries(job.seriesId, job.startDate, job.frequency, job.jobOpts);
+
+  if (opts.cacheOnly) return Promise.all(jobs.map(single));
+
+  const chunks = [];
+  for (let i = 0; i < jobs.length; i += FRED_BATCH_MAX) chunks.push(jobs.slice(i, i + FRED_BATCH_MAX));
+  let results;
+  try {
+    const payloads = await Promise.all(chunks.map(async (chunk) => {
+      const res = await requestWithRetry(apiUrl(`${FRED_PATH}/batch`), "FRED batch", {
+        signal: opts.signal,
+        revalidate: opts.revalidate,
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          requests: chunk.map((job, i) => ({ id: String(i), params: Object.fromEntries(job.params) })),
+        }),
+      });
+      const data = await res.json();
+      validateShape("FRED batch", FRED_BATCH_SCHEMA, data);
+      return chunk.map((_, i) => data.results[String(i)]);
+    }));
+    results = payloads.flat();
+  } catch (e) {
+    // Static deployments without the batch function: one request per series
+    if (e.status !== 404) throw e;
+    runtime.logger.warn("FRED batch endpoint unavailable, fetching series individually");
+    return mapWithConcurrency(jobs, FRED_FALLBACK_CONCURRENCY, single);
+  }
+
+  return Promise.all(jobs.map(async (job, i) => {
+    const result = results[i];
+    if (result?.status === 200) {
+      validateShape(`FRED ${job.seriesId}`, FRED_OBSERVATIONS_SCHEMA, result.data);
+      await cacheSet(job.key, result.data);
+      return parseFredObservations(result.data, isVintageQuery(job.jobOpts));
+    }
+    if (!result || result.status === 429 || result.status >= 500) return single(job);
+    throw new Error(`FRED ${job.seriesId}: ${result.status}${result.error ? ` (${result.error})` : ""}`);
+  }));
+}
+
+// Whether the FRED proxy holds a server-side key (FRED_API_KEY), so the client can fetch
+// live FRED data without one. Hosts without /api/fred/status report false.
+export async function fetchFredProxyStatus(opts = {}) {
+  try {
+    const res = await runtime.fetch(apiUrl(`${FRED_PATH}/status`), { signal: opts.signal });
+    if (!res.ok) return { serverKey: false };
+    const body = await res.json();
+    return { serverKey: body?.serverKey === true };
+  } catch (e) {
+    if (e.name === "AbortError") throw e;
+    return { serverKey: false };
+  }
+}
+
+// Every vintage of a series since `startDate`: one row per (date, real-time period)
+export async function fetchFredVintages(seriesId, startDate = "2020-01-01", opts = {}) {
+  return fetchFredSeries(seriesId, startDate, null, {
+    ...opts,
+    realtimeStart: "1776-07-04", // ALFRED's "all vintages" bounds
+    realtimeEnd: "9999-12-31",
+  });
+}
+
+// Collapse vintage rows into first print vs. current value per observation date
+export function summarizeRevisions(vintageRows) {
+  const byDate = {};
+  vintageRows.forEach(o => {
+    if (!byDate[o.date]) byDate[o.date] = { date: o.date, vintages: 0 };
+    const row = byDate[o.date];
+    row.vintages++;
+    if (!row.firstSeen || o.realtimeStart < row.firstSeen) {
+      row.firstSeen = o.realtimeStart;
+      row.firstPrint = o.value;
+    }
+    if (!row.lastSeen || o.realtimeStart > row.lastSeen) {
+      row.lastSeen = o.realtimeStart;
+      row.current = o.value;
+    }
+  });
+  return Object.values(byDate)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ date, firstPrint, current, firstSeen, vintages }) => ({
+      date,
+      firstPrint,
+      current,
+      firstSeen,
+      vintages,
+      revision: +(current - firstPrint).toFixed(4),
+    }));
+}
+
+// Period key for an observation date at a display resolution: the date itself for
+// daily, the week-ending Wednesday for weekly (H.4.1 reports Wednesday levels), and
+// "YYYY-MM" for monthly.
+export function periodKey(date, resolution = "m") {
+  if (resolution === "m") return date.slice(0, 7);
+  if (resolution === "w") {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + ((3 - d.getUTCDay() + 7) % 7));
+    return d.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+// Alignment strategies for merging series of mixed frequency onto one date axis.
+// Every derived dataset declares { resolution, method, calendar } explicitly:
+//   eop  — last observation in each period (levels)
+//   avg  — mean of the observations in each period (rates)
+//   sum  — total of the observations in each period (flows)
+//   asof — rows follow the last date per period of a master calendar series
+//          (`calendar` is a key of the series map); every other series contributes
+//          its latest observation on or before that date
+export const ALIGN_METHODS = ["eop", "avg", "sum", "asof"];
+
+export function alignSeries(results, { resolution = "m", method = "eop", calendar = null } = {}) {
+  if (!ALIGN_METHODS.includes(method)) throw new Error(`Unknown alignment method "${method}"`);
+
+  if (method === "asof") {
+    const master = results.find(r => r.key === calendar);
+    if (!master) throw new Error(`As-of alignment needs a calendar series, got "${calendar}"`);
+    const calendarDates = {};
+    master.data.forEach(({ date }) => { calendarDates[periodKey(date, resolution)] = date; });
+    const cursors = results.map(() => 0);
+    return Object.entries(calendarDates)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, asOf]) => {
+        const row = { date: period };
+        results.forEach(({ key, data }, i) => {
+          while (cursors[i] < data.length && data[cursors[i]].date <= asOf) cursors[i]++;
+          if (cursors[i] > 0) row[key] = data[cursors[i] - 1].value;
+        });
+        return row;
+      });
+  }
+
+  const byPeriod = {};
+  results.forEach(({ key, data }) => {
+    data.forEach(({ date, value }) => {
+      const dk = periodKey(date, resolution);
+      if (!byPeriod[dk]) byPeriod[dk] = { date: dk, values: {} };
+      (byPeriod[dk].values[key] ||= []).push(value);
+    });
+  });
+  return Object.values(byPeriod)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ date, values }) => {
+      const row = { date };
+      Object.entries(values).forEach(([key, vals]) => {
+        const total = vals.reduce((sum, v) => sum + v, 0);
+        if (method === "eop") row[key] = vals[vals.length - 1];
+        else if (method === "avg") row[key] = +(total / vals.length).toFixed(2);
+        else row[key] = total;
+      });
+      return row;
+    });
+}
+
+// Series definitions ([{ key, id, label, units, cadence }], see the registry) → the
+// { key: FRED ID } map fetchFredMultiple takes
+export const seriesMap = (series) => Object.fromEntries(series.map(s => [s.key, s.id]));
+
+// Aligned rows plus each FRED series' raw observation dates (for freshness metadata)
+// and the unaligned [{ key, data }] results, for callers that need another alignment
+export async function fetchFredMultiple(seriesMap, startDate = "2020-01-01", alignment = {}, opts = {}) {
+  const entries = Object.entries(seriesMap);
+  const series = await fetchFredBatch(entries.map(([, id]) => ({ seriesId: id, startDate })), opts);
+  const results = entries.map(([key], i) => ({ key, data: series[i] }));
+  return {
+    rows: alignSeries(results, alignment),
+    results,
+    dates: Object.fromEntries(entries.map(([, id], i) => [id, series[i].map(o => o.date)])),
+  };
+}
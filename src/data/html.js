@@ -0,0 +1,40 @@
+// ─── HTML TABLES ────────────────────────────────────────────────────────────
+// TIC publishes its current holdings as an HTML page. A table parser turns a page into
+// its tables, each a list of rows of cell texts (whitespace collapsed, trimmed).
+import { runtime } from "./runtime.js";
+
+const cellText = (text) => text.replace(/\s+/g, " ").trim();
+
+export function parseTablesDOM(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return [...doc.querySelectorAll("table")].map(table =>
+    [...table.querySelectorAll("tr")].map(row =>
+      [...row.querySelectorAll("td, th")].map(cell => cellText(cell.textContent))
+    )
+  );
+}
+
+// Dependency-free fallback for Node: enough HTML for Treasury's flat tables (optional
+// end tags, attributes, entities, nested markup inside cells), not a general parser.
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] !== "#") return ENTITIES[entity.toLowerCase()] ?? match;
+  const hex = entity[1] === "x" || entity[1] === "X";
+  return String.fromCodePoint(parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10));
+});
+
+export function parseTablesLite(html) {
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "");
+  return [...source.matchAll(/<table\b[^>]*>([\s\S]*?)<\/table\s*>/gi)].map(([, table]) =>
+    [...table.matchAll(/<tr\b[^>]*>([\s\S]*?)(?=<tr\b|$)/gi)].map(([, row]) =>
+      [...row.matchAll(/<t[dh]\b[^>]*>([\s\S]*?)(?=<t[dh]\b|<\/tr\s*>|$)/gi)].map(([, cell]) =>
+        cellText(decodeEntities(cell.replace(/<[^>]*>/g, "")))
+      )
+    )
+  );
+}
+
+export const parseTables = (html) =>
+  (runtime.parseTables || (typeof DOMParser !== "undefined" ? parseTablesDOM : parseTablesLite))(html);
@@ -0,0 +1,35 @@
+// Sigma data layer: fetchers and transforms behind every number the terminal shows.
+// No React and no browser globals beyond what runtime.js lets callers replace, so the
+// same module runs in the app, under Node and in backend jobs:
+//
+//   import { configureDataLayer, fetchFedData } from "./src/data/index.js";
+//   configureDataLayer({ baseUrl: "https://sigma.example.com" });
+//   const { data, meta } = await fetchFedData("w");
+//
+// Every fetcher takes opts { asOf, signal, cacheOnly, revalidate } and resolves to { data, meta };
+// `revalidate` bypasses the proxy and CDN caches (scheduled refreshes after a release).
+export { configureDataLayer } from "./runtime.js";
+export { requestWithRetry } from "./request.js";
+export { CacheMissError, indexedDBStorage, memoryStorage } from "./cache.js";
+export { SchemaError } from "./schemas.js";
+export { parseTablesDOM, parseTablesLite } from "./html.js";
+export {
+  PUBLICATION_LAG_DAYS, RELEASE_SCHEDULES, isoToday, shiftDate, releaseWindow, buildMeta, isStale,
+} from "./calendar.js";
+export {
+  fetchFredSeries, fetchFredBatch, fetchFredMultiple, fetchFredVintages, fetchFredProxyStatus, summarizeRevisions,
+  periodKey, alignSeries, seriesMap, ALIGN_METHODS,
+} from "./fred.js";
+export {
+  FED_RESOLUTIONS, FED_SERIES, FED_ASSET_ITEMS, FED_LIABILITY_ITEMS, RESERVE_DRIVERS, fetchFedData, toLiquidityRows,
+  reserveChangeDrivers, QT_CAP_SCHEDULE, isCapSchedule, capsForMonth, qtRunoff, projectBalanceSheet,
+} from "./fed.js";
+export {
+  RATES_SERIES, BREAKEVEN_SERIES, YIELD_CURVE_TENORS, YIELD_CURVE_SERIES, YIELD_CURVE_SNAPSHOTS,
+  fetchRatesData, fetchBreakevenData, fetchYieldCurveSnapshots,
+} from "./rates.js";
+export {
+  DEBT_SERIES, MTS_SERIES, fetchFiscalDataset, fetchDebtData, fetchMTSData, cumulativeDeficitByFY,
+} from "./fiscal.js";
+export { TIC_SERIES, fetchTICData } from "./tic.js";
+export { PROVIDERS, DATA_SOURCES, dataSource, sourcesByCategory, seriesById } from "./registry.js";
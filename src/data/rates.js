@@ -0,0 +1,77 @@
+// ─── YIELDS & RATES FETCH ───────────────────────────────────────────────────
+// Rates and breakevens are monthly averages of the daily prints (FEDFUNDS is already monthly)
+import { fetchFredBatch, fetchFredMultiple, seriesMap } from "./fred.js";
+import { isoToday, shiftDate, buildMeta } from "./calendar.js";
+
+const RATES_ALIGNMENT = { resolution: "m", method: "avg" };
+
+export const RATES_SERIES = [
+  { key: "ffr", id: "FEDFUNDS", label: "Effective Fed Funds", units: "%", cadence: "monthly" },
+  { key: "sofr", id: "SOFR", label: "SOFR", units: "%", cadence: "daily" },
+  { key: "y2", id: "DGS2", label: "2Y Treasury", units: "%", cadence: "daily" },
+  { key: "y10", id: "DGS10", label: "10Y Treasury", units: "%", cadence: "daily" },
+  { key: "y30", id: "DGS30", label: "30Y Treasury", units: "%", cadence: "daily" },
+];
+
+export const BREAKEVEN_SERIES = [
+  { key: "be5y", id: "T5YIE", label: "5Y Breakeven", units: "%", cadence: "daily" },
+  { key: "be10y", id: "T10YIE", label: "10Y Breakeven", units: "%", cadence: "daily" },
+];
+
+export async function fetchRatesData(opts = {}) {
+  const { rows, dates } = await fetchFredMultiple(seriesMap(RATES_SERIES), "2022-01-01", RATES_ALIGNMENT, opts);
+  return { data: rows, meta: buildMeta("rates", dates, opts) };
+}
+
+export async function fetchBreakevenData(opts = {}) {
+  const { rows, dates } = await fetchFredMultiple(seriesMap(BREAKEVEN_SERIES), "2022-01-01", RATES_ALIGNMENT, opts);
+  return { data: rows, meta: buildMeta("breakevens", dates, opts) };
+}
+
+export const YIELD_CURVE_TENORS = {
+  "1M": "DGS1MO", "3M": "DGS3MO", "6M": "DGS6MO",
+  "1Y": "DGS1", "2Y": "DGS2", "3Y": "DGS3",
+  "5Y": "DGS5", "7Y": "DGS7", "10Y": "DGS10",
+  "20Y": "DGS20", "30Y": "DGS30",
+};
+export const YIELD_CURVE_SERIES = Object.entries(YIELD_CURVE_TENORS).map(([tenor, id]) => ({
+  key: tenor, id, label: `${tenor} Treasury`, units: "%", cadence: "daily",
+}));
+export const YIELD_CURVE_SNAPSHOTS = {
+  "Pre-COVID (Jan '20)": "2020-01-15",
+  "Pre-Hike (Jan '22)": "2022-01-15",
+  "Peak Inversion (Jul '23)": "2023-07-10",
+};
+const SNAPSHOT_WINDOW_DAYS = 10; // wide enough to span weekends and holiday closures
+
+// One small range query per (curve, tenor), all in a single batch: only the few days up
+// to each snapshot date (and up to today or the as-of date for "Current"), taking the
+// last print in the window.
+export async function fetchYieldCurveSnapshots(opts = {}) {
+  // In time-machine mode "Current" is the curve on the as-of date, and later snapshots are dropped
+  const today = opts.asOf || isoToday();
+  const curveDates = { Current: today };
+  Object.entries(YIELD_CURVE_SNAPSHOTS).forEach(([name, date]) => {
+    if (date <= today) curveDates[name] = date;
+  });
+  const jobs = Object.entries(curveDates).flatMap(([curve, date]) =>
+    Object.entries(YIELD_CURVE_TENORS).map(([tenor, id]) => ({ curve, tenor, id, date }))
+  );
+
+  const series = await fetchFredBatch(jobs.map(({ id, date }) => ({
+    seriesId: id,
+    startDate: shiftDate(date, -SNAPSHOT_WINDOW_DAYS),
+    frequency: "d",
+    opts: { endDate: date },
+  })), opts);
+  const values = series.map(obs => obs.length > 0 ? obs[obs.length - 1].value : null);
+
+  const curves = {};
+  const currentDates = {};
+  jobs.forEach(({ curve, tenor, id }, i) => {
+    if (!curves[curve]) curves[curve] = {};
+    curves[curve][tenor] = values[i];
+    if (curve === "Current") currentDates[id] = series[i].map(o => o.date);
+  });
+  return { data: curves, meta: buildMeta("yieldCurve", currentDates, opts) };
+}
@@ -0,0 +1,198 @@
+// ─── DATA SOURCE REGISTRY ───────────────────────────────────────────────────
+// Every source the terminal knows about, in one place. The app's fetch hook, the
+// sidebar status list and the Sources page are all generated from DATA_SOURCES, so a
+// series only shows up there once a fetcher actually pulls it.
+//
+// Source fields:
+//   id          — key for liveData / meta / loadingStatus and RELEASE_SCHEDULES
+//   provider    — key into PROVIDERS
+//   category    — grouping on the Sources page
+//   dashboards  — NAV ids of the tabs that use it
+//   series      — [{ key, id, label, units, cadence }] as defined next to each fetcher
+//   fetch       — (opts, params) => Promise<{ data, meta }>; null for reference-only
+//                 sources (documented and linked, not fetched)
+//   params      — hook params (see useDataFetcher) the fetch depends on, e.g. fedResolution
+//   upstream    — API endpoint or file the fetcher reads through the proxies
+//   url         — human-readable publication page
+import { FED_SERIES, fetchFedData } from "./fed.js";
+import {
+  RATES_SERIES, BREAKEVEN_SERIES, YIELD_CURVE_SERIES, fetchRatesData, fetchBreakevenData, fetchYieldCurveSnapshots,
+} from "./rates.js";
+import { DEBT_SERIES, MTS_SERIES, fetchDebtData, fetchMTSData } from "./fiscal.js";
+import { TIC_SERIES, fetchTICData } from "./tic.js";
+
+// needsFredKey: fetches wait for a FRED key (client or server-side); static: data is
+// bundled with the app, so there is nothing to load
+export const PROVIDERS = {
+  fred: { name: "FRED API", integration: "FRED API", needsFredKey: true },
+  fiscal: { name: "Treasury FiscalData", integration: "Treasury FiscalData API", needsFredKey: false },
+  tic: { name: "TIC Reports", integration: "TIC text / HTML tables", needsFredKey: false },
+  treasuryDirect: { name: "TreasuryDirect", integration: "Reference only", needsFredKey: false },
+  ssa: { name: "SSA", integration: "SSA / Manual update", needsFredKey: false, static: true },
+};
+
+const FRED_OBSERVATIONS = "https://api.stlouisfed.org/fred/series/observations";
+const FISCAL_API = "https://api.fiscaldata.treasury.gov/services/api/fiscal_service";
+
+export const DATA_SOURCES = [
+  {
+    id: "fed",
+    provider: "fred",
+    category: "Fed Balance Sheet",
+    name: "Federal Reserve H.4.1 Release & Overnight Reverse Repo",
+    description: "Factors Affecting Reserve Balances — the weekly report of the Fed's balance sheet: total assets and its full breakdown (securities, premiums, repo, discount window, BTFP and other loans, swaps) against currency, reserve balances, the Treasury General Account, reverse repos and other deposits — plus daily overnight reverse repo usage, the cash money funds park at the Fed.",
+    frequency: "Weekly (Thursday 4:30pm ET); RRP daily",
+    url: "https://www.federalreserve.gov/releases/h41/current/",
+    upstream: FRED_OBSERVATIONS,
+    dashboards: ["fed"],
+    series: FED_SERIES,
+    fetch: (opts, { fedResolution }) => fetchFedData(fedResolution, opts),
+    params: ["fedResolution"],
+  },
+  {
+    id: "debt",
+    provider: "fiscal",
+    category: "Fiscal & Deficit",
+    name: "Debt to the Penny",
+    description: "Daily total public debt outstanding, broken into debt held by the public and intragovernmental holdings.",
+    frequency: "Daily (1 business day lag)",
+    url: "https://fiscaldata.treasury.gov/datasets/debt-to-the-penny/",
+    upstream: `${FISCAL_API}/v2/accounting/od/debt_to_penny`,
+    dashboards: ["fiscal"],
+    series: DEBT_SERIES,
+    fetch: fetchDebtData,
+  },
+  {
+    id: "mts",
+    provider: "fiscal",
+    category: "Fiscal & Deficit",
+    name: "Monthly Treasury Statement (MTS)",
+    description: "The official monthly report of U.S. government receipts, outlays, and the resulting surplus or deficit. The primary source for fiscal year-to-date deficit tracking.",
+    frequency: "Monthly (~8th business day)",
+    url: "https://fiscaldata.treasury.gov/datasets/monthly-treasury-statement/",
+    upstream: `${FISCAL_API}/v1/accounting/mts/mts_table_1`,
+    dashboards: ["fiscal"],
+    series: MTS_SERIES,
+    fetch: fetchMTSData,
+  },
+  {
+    id: "auctions",
+    provider: "treasuryDirect",
+    category: "Fiscal & Deficit",
+    name: "Treasury Auction Results",
+    description: "Results of every Treasury security auction — bid-to-cover ratios, high yield, percentage to direct/indirect bidders.",
+    frequency: "Per auction (multiple per week)",
+    url: "https://www.treasurydirect.gov/auctions/auction-query/results/",
+    dashboards: [],
+    series: [{ label: "Auction-level data" }],
+    fetch: null,
+  },
+  {
+    id: "tic",
+    provider: "tic",
+    category: "Sovereign Holdings",
+    name: "TIC Major Foreign Holders of Treasury Securities",
+    description: "Monthly estimates of foreign country holdings of U.S. Treasury securities. The primary source for tracking sovereign buyer/seller behavior.",
+    frequency: "Monthly (~2 month lag)",
+    url: "https://ticdata.treasury.gov/resource-center/data-chart-center/tic/Documents/mfh.txt",
+    upstream: "https://ticdata.treasury.gov",
+    dashboards: ["sovereign"],
+    series: TIC_SERIES,
+    fetch: fetchTICData,
+  },
+  {
+    id: "yieldCurve",
+    provider: "fred",
+    category: "Yields & Rates",
+    name: "Treasury Yield Curve Rates",
+    description: "Daily par yield curve rates from 1-month through 30-year maturities. The foundation for yield curve analysis and 2s10s spread tracking.",
+    frequency: "Daily (market close)",
+    url: "https://home.treasury.gov/resource-center/data-chart-center/interest-rates/",
+    upstream: FRED_OBSERVATIONS,
+    dashboards: ["yields"],
+    series: YIELD_CURVE_SERIES,
+    fetch: fetchYieldCurveSnapshots,
+  },
+  {
+    id: "rates",
+    provider: "fred",
+    category: "Yields & Rates",
+    name: "Policy & Benchmark Rates",
+    description: "Effective fed funds, SOFR — the overnight rate backed by Treasury repo that replaced LIBOR — and the 2Y/10Y/30Y constant-maturity yields, as monthly averages.",
+    frequency: "Daily (fed funds monthly)",
+    url: "https://fred.stlouisfed.org/series/SOFR",
+    upstream: FRED_OBSERVATIONS,
+    dashboards: ["yields"],
+    series: RATES_SERIES,
+    fetch: fetchRatesData,
+  },
+  {
+    id: "breakevens",
+    provider: "fred",
+    category: "Yields & Rates",
+    name: "Breakeven Inflation Rates",
+    description: "Difference between nominal Treasury yields and TIPS yields of the same maturity — the market's implied inflation expectation.",
+    frequency: "Daily",
+    url: "https://fred.stlouisfed.org/series/T10YIE",
+    upstream: FRED_OBSERVATIONS,
+    dashboards: ["yields"],
+    series: BREAKEVEN_SERIES,
+    fetch: fetchBreakevenData,
+  },
+  {
+    id: "ssaTrustees",
+    provider: "ssa",
+    category: "Social Security",
+    name: "OASDI Trustees Annual Report",
+    description: "The definitive annual assessment of Social Security's financial status and 75-year projections. Includes trust fund balances, income/expenditure detail, and the projected depletion date.",
+    frequency: "Annual (typically March–June)",
+    latestReport: "2024 Report (released May 6, 2024)",
+    url: "https://www.ssa.gov/oact/TR/",
+    dashboards: ["socsec"],
+    series: [{ label: "Trust fund balance" }, { label: "Cost rates" }, { label: "Income rates" }],
+    fetch: null,
+  },
+  {
+    id: "ssaBeneficiaries",
+    provider: "ssa",
+    category: "Social Security",
+    name: "Social Security Beneficiary Statistics",
+    description: "Monthly and annual counts of OASDI beneficiaries by type (retired workers, dependents, survivors, disability), plus average benefit amounts.",
+    frequency: "Monthly / Annual",
+    latestReport: "December 2024",
+    url: "https://www.ssa.gov/oact/STATS/OASDIbenies.html",
+    dashboards: ["socsec"],
+    series: [{ label: "Beneficiary count" }, { label: "Avg monthly benefit" }],
+    fetch: null,
+  },
+  {
+    id: "ssaWorkers",
+    provider: "ssa",
+    category: "Social Security",
+    name: "Covered Workers & Worker-to-Beneficiary Ratio",
+    description: "Number of workers paying into Social Security relative to the number collecting benefits — the fundamental demographic solvency metric.",
+    frequency: "Annual",
+    latestReport: "2025 Trustees Report",
+    url: "https://www.ssa.gov/oact/STATS/table4a3.html",
+    dashboards: ["socsec"],
+    series: [{ label: "Covered workers" }, { label: "Dependency ratio" }],
+    fetch: null,
+  },
+];
+
+export const dataSource = (id) => DATA_SOURCES.find(s => s.id === id);
+
+// Categories in registry order: [{ category, sources }]
+export function sourcesByCategory(sources = DATA_SOURCES) {
+  const groups = new Map();
+  sources.forEach(s => {
+    if (!groups.has(s.category)) groups.set(s.category, []);
+    groups.get(s.category).push(s);
+  });
+  return [...groups].map(([category, list]) => ({ category, sources: list }));
+}
+
+// Series definitions by ID across all sources, e.g. for revision viewers
+export const seriesById = (ids) => ids.map(id =>
+  DATA_SOURCES.flatMap(s => s.series).find(s => s.id === id)
+);
@@ -0,0 +1,101 @@
+
+// ─── REQUEST LAYER ──────────────────────────────────────────────────────────
+// All upstream calls go through requestWithRetry: one concurrency cap shared by every
+// fetcher, exponential backoff with jitter on network errors and 5xx, and 429s
+// honored via Retry-After. A 429 pauses the whole queue, since FRED's limit is per key.
+// An aborted `init.signal` stops the request at once, including queued waits and retries.
+// `init.revalidate` (fetch opts.revalidate, set by scheduled refreshes) asks the
+// proxies, the CDN and the browser for a fresh upstream answer instead of a cached one.
+import { runtime } from "./runtime.js";
+
+const MAX_CONCURRENT_REQUESTS = 6;
+const RETRY_LIMIT = 4;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30000;
+
+let activeRequests = 0;
+let rateLimitedUntil = 0;
+const requestQueue = [];
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+async function acquireRequestSlot() {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) activeRequests++;
+  else await new Promise(resolve => requestQueue.push(resolve));
+}
+
+function releaseRequestSlot() {
+  const next = requestQueue.shift();
+  if (next) next();
+  else activeRequests--;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(res) {
+  const header = res.headers.get("Retry-After");
+  if (!header) return null;
+  const secs = Number(header);
+  if (!isNaN(secs)) return secs * 1000;
+  const at = Date.parse(header);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Cache-busting param and header the proxies look for (see api/_lib/http.js)
+const REVALIDATE_PARAM = "_revalidate";
+
+function revalidating(url, init) {
+  const isGet = !init.method || init.method === "GET";
+  return [
+    isGet ? `${url}${url.includes("?") ? "&" : "?"}${REVALIDATE_PARAM}=${Date.now()}` : url,
+    { ...init, cache: "no-store", headers: { ...init.headers, "Cache-Control": "no-cache" } },
+  ];
+}
+
+export async function requestWithRetry(url, label, { revalidate = false, ...init } = {}) {
+  if (revalidate) [url, init] = revalidating(url, init);
+  const { signal } = init;
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let networkError = null;
+    await acquireRequestSlot();
+    try {
+      // Slot is held while waiting out a rate-limit window so the queue stays paused
+      while (Date.now() < rateLimitedUntil) await sleep(rateLimitedUntil - Date.now(), signal);
+      signal?.throwIfAborted();
+      res = await runtime.fetch(url, init);
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      networkError = e;
+    } finally {
+      releaseRequestSlot();
+    }
+
+    if (res && res.ok) return res;
+    const retryable = !res || res.status === 429 || res.status >= 500;
+    if (!retryable || attempt >= RETRY_LIMIT) {
+      if (networkError) throw networkError;
+      const error = new Error(`${label}: ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+
+    let wait = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+    if (res?.status === 429) {
+      wait = Math.max(wait, retryAfterMs(res) ?? 0);
+      rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + wait);
+    }
+    runtime.logger.warn(`${label}: ${res ? res.status : networkError.message} — retry ${attempt + 1}/${RETRY_LIMIT} in ${Math.round(wait)}ms`);
+    await sleep(wait, signal);
+  }
+}
@@ -0,0 +1,33 @@
+// ─── RUNTIME ────────────────────────────────────────────────────────────────
+// Everything the data layer takes from its host. The defaults suit the browser app:
+// same-origin proxies, the global fetch, DOMParser and IndexedDB. Node callers point
+// `baseUrl` at a deployment or local dev server and may swap in their own fetch, HTML
+// table parser, cache storage or logger via configureDataLayer.
+//   baseUrl     — prefix for the /api/* proxy paths ("" = same origin)
+//   fredApiKey  — sent as api_key on FRED requests ("" = none; the proxy injects its own)
+//   fetch       — (url, init) => Promise<Response>
+//   parseTables — (html) => tables as rows of cell texts (null = DOMParser when present,
+//                 otherwise the built-in parser in html.js)
+//   storage     — { get(key), set(key, entry) } for the response cache (null = IndexedDB
+//                 when present, otherwise in-memory)
+//   logger      — console-like { log, warn, error }
+export const runtime = {
+  baseUrl: "",
+  fredApiKey: "",
+  fetch: (url, init) => globalThis.fetch(url, init),
+  parseTables: null,
+  storage: null,
+  logger: console,
+};
+
+export function configureDataLayer(options = {}) {
+  Object.assign(runtime, options);
+  return runtime;
+}
+
+// Upstream proxies: the handlers in api/ (Vercel functions, mounted by vite.config.js in dev)
+export const FRED_PATH = "/api/fred";
+export const FISCAL_PATH = "/api/fiscal/services/api/fiscal_service";
+export const TIC_PATH = "/api/tic";
+
+export const apiUrl = (path) => `${runtime.baseUrl}${path}`;
@@ -0,0 +1,112 @@
+// ─── RESPONSE SCHEMAS ───────────────────────────────────────────────────────
+// Every upstream payload is checked against a declared shape before it is parsed, so a
+// format change fails loudly with the source, field and expectation instead of as a
+// TypeError or silently wrong numbers. JSON schemas map field paths ("[]" = every
+// element) to a SCHEMA_TYPES name; parents must be listed before their children.
+export class SchemaError extends Error {
+  constructor(source, field, expected, actual) {
+    super(`${source}: ${field} — expected ${expected}, got ${actual}`);
+    this.name = "SchemaError";
+    this.source = source;
+    this.field = field;
+    this.expected = expected;
+  }
+}
+
+const isNumeric = (v) => (typeof v === "number" || typeof v === "string") && v !== "" && !isNaN(Number(v));
+const SCHEMA_TYPES = {
+  object: { expect: "an object", test: v => v !== null && typeof v === "object" && !Array.isArray(v) },
+  array: { expect: "an array", test: Array.isArray },
+  string: { expect: "a string", test: v => typeof v === "string" },
+  date: { expect: "a YYYY-MM-DD date", test: v => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) },
+  number: { expect: "a number", test: isNumeric },
+  fredValue: { expect: 'a number or "."', test: v => v === "." || isNumeric(v) },
+  amount: { expect: "a number or null", test: v => v == null || v === "null" || v === "" || isNumeric(v) },
+};
+
+const describeValue = (v) => {
+  if (v === undefined) return "nothing";
+  if (v === null || typeof v === "number" || typeof v === "boolean") return String(v);
+  if (Array.isArray(v)) return "an array";
+  if (typeof v === "object") return "an object";
+  return JSON.stringify(v.length > 40 ? `${v.slice(0, 40)}…` : v);
+};
+
+export function validateShape(source, schema, payload) {
+  Object.entries(schema).forEach(([path, type]) => {
+    const { expect, test } = SCHEMA_TYPES[type];
+    const walk = (value, segments, at) => {
+      if (segments.length === 0) {
+        if (!test(value)) throw new SchemaError(source, at || "response", expect, describeValue(value));
+        return;
+      }
+      const [segment, ...rest] = segments;
+      if (segment === "[]") value.forEach((item, i) => walk(item, rest, `${at}[${i}]`));
+      else walk(value?.[segment], rest, at ? `${at}.${segment}` : segment);
+    };
+    walk(payload, path.replace(/\[\]/g, ".[]").split("."), "");
+  });
+}
+
+// Text and HTML payloads have no JSON shape; their schema is a list of named
+// structural checks run against the payload (or its parsed form)
+export function validateChecks(source, checks, payload) {
+  checks.forEach(({ field, expect, test }) => {
+    if (!test(payload)) throw new SchemaError(source, field, expect, "none");
+  });
+}
+
+export const FRED_OBSERVATIONS_SCHEMA = {
+  "observations": "array",
+  "observations[].date": "date",
+  "observations[].realtime_start": "date",
+  "observations[].realtime_end": "date",
+  "observations[].value": "fredValue",
+};
+
+export const FRED_BATCH_SCHEMA = {
+  "results": "object",
+};
+
+// Paging envelope shared by every FiscalData dataset (merged into the dataset schema)
+export const FISCAL_PAGE_SCHEMA = {
+  "meta": "object",
+  "meta.total-count": "number",
+  "meta.total-pages": "number",
+};
+
+export const DEBT_TO_PENNY_SCHEMA = {
+  "data": "array",
+  "data[].record_date": "date",
+  "data[].tot_pub_debt_out_amt": "number",
+  "data[].debt_held_public_amt": "number",
+  "data[].intragov_hold_amt": "number",
+};
+
+export const MTS_TABLE_1_SCHEMA = {
+  "data": "array",
+  "data[].record_date": "date",
+  "data[].line_code_nbr": "number",
+  "data[].record_type_cd": "string",
+  "data[].classification_desc": "string",
+  "data[].current_month_gross_rcpt_amt": "amount",
+  "data[].current_month_gross_outly_amt": "amount",
+  "data[].current_month_dfct_sur_amt": "amount",
+};
+
+export const TIC_MONTH_HEADER = /^\t+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\t/;
+
+export const TIC_HISTORICAL_CHECKS = [
+  { field: "month header row", expect: "a tab-indented row of month names", test: text =>
+    typeof text === "string" && text.split("\n").some(line => TIC_MONTH_HEADER.test(line.replace(/\r/, ""))) },
+  { field: "Grand Total row", expect: "a Grand Total row", test: text => text.includes("Grand Total") },
+];
+
+// Run against the page's tables (see html.js); the holdings table is the first one
+export const TIC_CURRENT_CHECKS = [
+  { field: "<table>", expect: "a holdings table", test: tables => tables.length > 0 },
+  { field: "date header row", expect: "a row of YYYY-MM column headers", test: ([table = []]) =>
+    table.some(cells => /^\d{4}-\d{2}$/.test(cells[1] || "")) },
+  { field: "Grand Total row", expect: "a Grand Total row", test: ([table = []]) =>
+    table.some(cells => cells[0] === "Grand Total") },
+];
@@ -0,0 +1,263 @@
+// ─── TIC MAJOR FOREIGN HOLDERS ──────────────────────────────────────────────
+import { runtime, apiUrl, TIC_PATH } from "./runtime.js";
+import { requestWithRetry } from "./request.js";
+import { CacheMissError, cacheKey, cachedRequest } from "./cache.js";
+import { ticReleaseDate, buildMeta } from "./calendar.js";
+import {
+  SchemaError, validateChecks, TIC_MONTH_HEADER, TIC_HISTORICAL_CHECKS, TIC_CURRENT_CHECKS,
+} from "./schemas.js";
+import { parseTables } from "./html.js";
+
+// The two TIC files merged into one history (paths are under the TIC proxy)
+export const TIC_SERIES = [
+  { key: "historical", id: "mfhhis01.txt", path: "/Publish/mfhhis01.txt", label: "Major Foreign Holders (history)", units: "$B", cadence: "monthly" },
+  { key: "current", id: "slt_table5.html", path: "/resource-center/data-chart-center/tic/Documents/slt_table5.html", label: "Major Foreign Holders (latest 13 months)", units: "$B", cadence: "monthly" },
+];
+
+export async function fetchTICData(opts = {}) {
+  const [historical, current] = TIC_SERIES;
+  const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+  const countryData = {};   // { "Japan": { "2024-12": 1061.5, ... }, ... }
+  let grandTotalByDate = {};
+  const currentSourceCountries = new Set(); // Track countries in slt_table5.html
+
+  // Helper to clean country names
+  const cleanCountryName = (name) => {
+    let country = name.replace(/"/g, "").trim();
+    if (country === "China, Mainland") return "China";
+    if (country === "Korea, South") return "South Korea";
+    return country;
+  };
+
+  // --- 1. Fetch HISTORICAL data (mfhhis01.txt) ---
+  try {
+    const text = await cachedRequest(cacheKey("tic", historical.id), async () => {
+      const res = await requestWithRetry(`${apiUrl(TIC_PATH)}${historical.path}`, "TIC historical", {
+        signal: opts.signal,
+        revalidate: opts.revalidate,
+      });
+      return res.text();
+    }, opts, (body) => validateChecks("TIC mfhhis01.txt", TIC_HISTORICAL_CHECKS, body));
+    if (text) {
+      const lines = text.split("\n");
+
+      let i = 0;
+      while (i < lines.length) {
+        const line = lines[i].replace(/\r/, "");
+
+        // Look for month header rows (e.g., "\tDec\tNov\tOct...")
+        const monthMatch = line.match(TIC_MONTH_HEADER);
+        if (monthMatch) {
+          const months = line.split("\t").filter(s => s.trim());
+
+          // Next line has "Country" and years
+          i++;
+          if (i >= lines.length) break;
+          const yearLine = lines[i].replace(/\r/, "");
+          const yearParts = yearLine.split("\t").filter(s => s.trim());
+          const years = yearParts.slice(1);
+
+          // Build date columns
+          const dateCols = months.map((m, j) => {
+            const yr = years[j] || years[0];
+            const mi = MONTH_NAMES.indexOf(m);
+            if (mi === -1 || !yr) return null;
+            return `${yr}-${String(mi + 1).padStart(2, "0")}`;
+          });
+
+          // Skip dashes line
+          i++;
+          if (i < lines.length && lines[i].includes("------")) i++;
+
+          // Parse country rows until we hit empty line, "Of which:", or another block
+          while (i < lines.length) {
+            const row = lines[i].replace(/\r/, "");
+            if (!row.trim() || row.trim().startsWith("Of which:")) break;
+            if (TIC_MONTH_HEADER.test(row)) break;
+
+            const parts = row.split("\t");
+            let country = cleanCountryName(parts[0]);
+            if (!country) { i++; continue; }
+
+            const values = parts.slice(1).map(v => {
+              const cleaned = v.trim().replace(/,/g, "");
+              if (!cleaned || cleaned === "null" || cleaned === "*") return 0;
+              const n = parseFloat(cleaned);
+              return isNaN(n) ? 0 : n;
+            });
+
+            if (country === "Grand Total") {
+              dateCols.forEach((d, j) => {
+                if (d && values[j]) grandTotalByDate[d] = values[j];
+              });
+            } else {
+              if (!countryData[country]) countryData[country] = {};
+              dateCols.forEach((d, j) => {
+                if (d && values[j] > 0) {
+                  countryData[country][d] = values[j];
+                }
+              });
+            }
+            i++;
+          }
+        } else {
+          i++;
+        }
+      }
+      runtime.logger.log("TIC: parsed historical mfhhis01.txt");
+    }
+  } catch (e) {
+    // A changed file format is surfaced rather than quietly dropping history
+    if (e instanceof SchemaError) throw e;
+    if (!(e instanceof CacheMissError) && !opts.signal?.aborted) {
+      runtime.logger.warn("TIC: historical fetch failed, continuing with current source", e);
+    }
+  }
+
+  // --- 2. Fetch CURRENT data (slt_table5.html) - overwrites overlapping dates ---
+  const html = await cachedRequest(cacheKey("tic", current.id), async () => {
+    const currentRes = await requestWithRetry(`${apiUrl(TIC_PATH)}${current.path}`, "TIC current", {
+      signal: opts.signal,
+      revalidate: opts.revalidate,
+    });
+    return currentRes.text();
+  }, opts, (body) => validateChecks("TIC slt_table5.html", TIC_CURRENT_CHECKS, parseTables(body)));
+
+  // Holdings table as rows of cell texts
+  const [rows] = parseTables(html);
+  let dateColumns = []; // ["2025-11", "2025-10", ...]
+
+  for (const cells of rows) {
+    if (cells.length === 0) continue;
+
+    const firstCell = cells[0];
+
+    // Check if this row contains date headers (must be BEFORE skip filters)
+    // The "Country" row has format: "Country", "2025-10", "2025-09", ...
+    if (cells[1]?.match(/^\d{4}-\d{2}$/)) {
+      dateColumns = [];
+      for (let i = 1; i < cells.length; i++) {
+        const cellText = cells[i];
+        if (cellText.match(/^\d{4}-\d{2}$/)) {
+          dateColumns.push(cellText);
+        }
+      }
+      runtime.logger.log(`TIC: found ${dateColumns.length} date columns from slt_table5`);
+      continue;
+    }
+
+    // Skip non-data rows
+    if (!firstCell ||
+        firstCell.length > 40 || // Filter out footnote text rows
+        firstCell.startsWith("Of Which") ||
+        firstCell.startsWith("Notes") ||
+        firstCell.startsWith("Holdings") ||
+        firstCell.startsWith("Billions") ||
+        firstCell.startsWith("Link:") ||
+        firstCell === "Country") continue;
+
+    // Skip if we don't have date columns yet
+    if (dateColumns.length === 0) continue;
+
+    // This is a country data row
+    let country = cleanCountryName(firstCell);
+    if (!country || country === "Grand Total") {
+      if (country === "Grand Total") {
+        for (let i = 1; i < cells.length && i - 1 < dateColumns.length; i++) {
+          const val = parseFloat(cells[i].replace(/,/g, ""));
+          if (!isNaN(val) && val > 0) {
+            grandTotalByDate[dateColumns[i - 1]] = val;
+          }
+        }
+      }
+      continue;
+    }
+
+    if (!countryData[country]) countryData[country] = {};
+    currentSourceCountries.add(country); // Track this country as present in current source
+
+    for (let i = 1; i < cells.length && i - 1 < dateColumns.length; i++) {
+      const val = parseFloat(cells[i].replace(/,/g, ""));
+      if (!isNaN(val) && val > 0) {
+        countryData[country][dateColumns[i - 1]] = val; // Overwrites historical
+      }
+    }
+  }
+
+  runtime.logger.log(`TIC: parsed current slt_table5.html (${currentSourceCountries.size} countries)`);
+
+  // Filter to only countries present in current source (avoid stale-only holders showing as zero)
+  for (const country of Object.keys(countryData)) {
+    if (!currentSourceCountries.has(country)) {
+      delete countryData[country];
+    }
+  }
+
+  // Time machine: TIC has no vintages, so drop months that had not been released by asOf
+  if (opts.asOf) {
+    const unreleased = (d) => ticReleaseDate(d) > opts.asOf;
+    Object.values(countryData).forEach(c => Object.keys(c).filter(unreleased).forEach(d => delete c[d]));
+    Object.keys(grandTotalByDate).filter(unreleased).forEach(d => delete grandTotalByDate[d]);
+  }
+
+  // --- 3. Build display dates: quarterly for old, monthly for last 18 months ---
+  const allDates = [...new Set([
+    ...Object.values(countryData).flatMap(c => Object.keys(c)),
+    ...Object.keys(grandTotalByDate)
+  ])].sort();
+
+  const now = opts.asOf ? new Date(`${opts.asOf}T00:00:00`) : new Date();
+  const cutoffDate = new Date(now.getFullYear(), now.getMonth() - 18, 1);
+  const cutoffStr = `${cutoffDate.getFullYear()}-${String(cutoffDate.getMonth() + 1).padStart(2, "0")}`;
+
+  const displayDates = allDates.filter(d => {
+    if (d >= cutoffStr) return true; // Monthly for last 18 months
+    // Quarterly (Mar, Jun, Sep, Dec) for older data
+    const month = parseInt(d.split("-")[1], 10);
+    return [3, 6, 9, 12].includes(month);
+  }).filter(d => d >= "2020-01");
+
+  // Country colors (stable assignment)
+  const COUNTRY_COLORS = {
+    Japan: "#ef4444", China: "#f59e0b", "United Kingdom": "#3b82f6",
+    Luxembourg: "#8b5cf6", "Cayman Islands": "#22d3ee", Canada: "#10b981",
+    Belgium: "#f472b6", Ireland: "#a78bfa", Switzerland: "#fbbf24",
+    Taiwan: "#6ee7b7", India: "#fb923c", "Hong Kong": "#e879f9",
+    Brazil: "#34d399", Singapore: "#93c5fd", France: "#c084fc",
+    Korea: "#7dd3fc", "South Korea": "#7dd3fc", Norway: "#67e8f9", "Saudi Arabia": "#86efac",
+    Germany: "#fca5a5", Bermuda: "#d8b4fe", Thailand: "#bef264",
+    Israel: "#a5b4fc", Philippines: "#fcd34d", Kuwait: "#5eead4",
+    Mexico: "#f9a8d4", Australia: "#fdba74", "United Arab Emirates": "#99f6e4",
+    Colombia: "#d9f99d", Sweden: "#fde68a", Poland: "#c4b5fd",
+    Netherlands: "#818cf8", Spain: "#fda4af", Italy: "#a3e635",
+    Peru: "#d4d4d8", Chile: "#bae6fd", Indonesia: "#fef08a",
+  };
+
+  // Build holdings arrays for each country that has data for most display dates
+  const countries = {};
+  const sortedCountryNames = Object.keys(countryData)
+    .filter(name => name !== "All Other")
+    .sort((a, b) => {
+      const aLatest = countryData[a][displayDates[displayDates.length - 1]] || 0;
+      const bLatest = countryData[b][displayDates[displayDates.length - 1]] || 0;
+      return bLatest - aLatest;
+    })
+    .slice(0, 20); // Top 20 countries
+
+  sortedCountryNames.forEach(name => {
+    countries[name] = {
+      color: COUNTRY_COLORS[name] || `hsl(${(Object.keys(countries).length * 37) % 360}, 60%, 55%)`,
+      holdings: displayDates.map(d => countryData[name][d] || 0),
+    };
+  });
+
+  // Grand totals
+  const totals = displayDates.map(d => grandTotalByDate[d] || 0);
+
+  runtime.logger.log(`TIC: parsed ${Object.keys(countryData).length} countries, ${displayDates.length} dates (${displayDates[0]} → ${displayDates[displayDates.length - 1]})`);
+
+  return {
+    data: { dates: displayDates, countries, totals },
+    meta: buildMeta("tic", { major_foreign_holders: displayDates }, opts),
+  };
+}
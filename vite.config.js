@@ -1,25 +1,65 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import fred from './api/fred.js'
+import fredBatch from './api/fred/batch.js'
+import fredStatus from './api/fred/status.js'
+import fiscal from './api/fiscal.js'
+import tic from './api/tic.js'
+import health from './api/health.js'
+import { fixtureMode } from './api/_lib/fixtures.js'
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      '/api/fred': {
-        target: 'https://api.stlouisfed.org',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/fred/, '/fred/series/observations'),
-      },
-      '/api/fiscal': {
-        target: 'https://api.fiscaldata.treasury.gov',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/fiscal/, ''),
-      },
-      '/api/tic': {
-        target: 'https://ticdata.treasury.gov',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/tic/, ''),
-      },
-    },
+// Run a Vercel-style handler (res.status().json()/send()) on the dev server
+const vercelMiddleware = (handler) => async (req, res) => {
+  // connect strips the mount path; handlers expect the full /api/... URL as on Vercel
+  req.url = req.originalUrl;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => { res.end(body); return res; };
+  try {
+    await handler(req, res);
+  } catch (error) {
+    // An uncaught throw is a 500 on Vercel too
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+};
+
+// The serverless functions in api/, mounted on the dev server so headers, caching,
+// validation, key injection and fixtures (SIGMA_FIXTURES, see api/_lib/fixtures.js)
+// behave exactly as in production. More specific paths first; keep in step with
+// vercel.json.
+const API_ROUTES = [
+  ['/api/fred/batch', fredBatch],
+  ['/api/fred/status', fredStatus],
+  ['/api/fred', fred],
+  ['/api/fiscal', fiscal],
+  ['/api/tic', tic],
+  ['/api/health', health],
+];
+
+const apiDevRoutes = {
+  name: 'api-dev-routes',
+  configureServer(server) {
+    const fixtures = fixtureMode();
+    if (fixtures) server.config.logger.info(`  api: fixtures ${fixtures === 'record' ? 'recording' : 'replaying'}`);
+    for (const [path, handler] of API_ROUTES) {
+      server.middlewares.use(path, vercelMiddleware(handler));
+    }
   },
+};
+
+export default defineConfig(({ mode }) => {
+  // Like Vercel env vars, .env* values reach the handlers through process.env, e.g.
+  // FRED_API_KEY=... in .env.local (no VITE_ prefix, so it is never bundled)
+  const env = loadEnv(mode, process.cwd(), '')
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith('VITE_')) process.env[name] ??= value
+  }
+
+  return {
+    plugins: [react(), apiDevRoutes],
+  }
 })